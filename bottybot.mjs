@@ -1,9 +1,12 @@
 import Web3 from 'web3';
 import express from 'express';
-import fetch from 'node-fetch';
+import nodeFetch from 'node-fetch';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
 import { ethers } from 'ethers';
+import { createSaleDecoder } from './saleDecoder.mjs';
 
 let OpenSeaStreamClient, EventType, Network, StreamWebSocket;
 try {
@@ -21,7 +24,1447 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+function createStateStore(filePath) {
+  const SAVE_DEBOUNCE_MS = 1000;
+  let state = {};
+  let saveTimer = null;
+
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    console.log(`[state] Loaded bot state from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[state] Failed to read state file ${filePath}, starting fresh:`, error);
+    state = {};
+  }
+
+  function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error(`[state] Failed to write state file ${filePath}:`, error);
+    }
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DEBOUNCE_MS);
+  }
+
+  function get(namespace, key, fallback) {
+    const value = state[namespace]?.[key];
+    return value === undefined ? fallback : value;
+  }
+
+  function set(namespace, key, value) {
+    if (!state[namespace]) state[namespace] = {};
+    state[namespace][key] = value;
+    scheduleSave();
+  }
+
+  return { get, set, flush };
+}
+
+const stateStore = createStateStore(
+  process.env.STATE_FILE_PATH || path.join(__dirname, 'data', 'state.json')
+);
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`Received ${signal}, saving bot state before exit.`);
+    stateStore.flush();
+    process.exit(0);
+  });
+}
+
+function createMetricsRegistry() {
+  const DEFAULT_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+  const metrics = [];
+
+  const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const formatLabels = (labels) => {
+    const entries = Object.entries(labels).filter(([, value]) => value != null);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+  };
+  const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'counter',
+      render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'histogram',
+      render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+    return {
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (value <= le) entry.counts[i] += 1; });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // Gauges are sampled at scrape time; collect() returns [{ labels, value }].
+  function gauge(name, help, collect) {
+    metrics.push({
+      name, help, type: 'gauge',
+      render: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${Number(value) || 0}`)
+    });
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      let samples;
+      try {
+        samples = metric.render();
+      } catch (error) {
+        console.error(`[metrics] Failed to collect ${metric.name}:`, error);
+        continue;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...samples);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+const metrics = createMetricsRegistry();
+
+const announcementsTotal = metrics.counter(
+  'mooncatbot_announcements_total',
+  'Announcement outcomes by bot, event kind and outcome (delivered, dead_lettered, unrouted, failed, blacklisted, below_threshold).'
+);
+const announcementLatency = metrics.histogram(
+  'mooncatbot_announcement_latency_seconds',
+  'Time from an event being seen (transfer or listing) to its announcement being posted.'
+);
+const externalRequestsTotal = metrics.counter(
+  'mooncatbot_external_requests_total',
+  'External API calls by host and response status.'
+);
+const externalRequestErrorsTotal = metrics.counter(
+  'mooncatbot_external_request_errors_total',
+  'External API calls that failed or returned a non-2xx status, by host.'
+);
+const openSeaRateLimitedTotal = metrics.counter(
+  'mooncatbot_opensea_rate_limited_total',
+  'OpenSea polls that were rejected with HTTP 429.'
+);
+
+const listingsClosedTotal = metrics.counter(
+  'mooncatbot_listings_closed_total',
+  'Tracked listings that were closed, by reason (cancelled, expired, stale, sold).'
+);
+
+function recordAnnouncement(bot, kind, outcome) {
+  announcementsTotal.inc({ bot, kind, outcome });
+}
+
+// Maps discordDelivery.deliver results to an announcement outcome; a sender that gave up before
+// delivering (empty message, routing error) returns nothing and counts as failed.
+function deliveryOutcome(results) {
+  if (!results) return 'failed';
+  if (results.length === 0) return 'unrouted';
+  return results.some(result => result.ok) ? 'delivered' : 'dead_lettered';
+}
+
+function externalHostLabel(url) {
+  let hostname;
+  try {
+    hostname = new URL(String(url?.url || url)).hostname;
+  } catch {
+    return 'unknown';
+  }
+  if (hostname.endsWith('alchemy.com')) return 'alchemy';
+  if (hostname.endsWith('opensea.io')) return 'opensea';
+  if (hostname.endsWith('coinmarketcap.com')) return 'coinmarketcap';
+  if (hostname.endsWith('coingecko.com')) return 'coingecko';
+  if (hostname === 'api.mooncat.community') return 'mooncat';
+  if (hostname.endsWith('discord.com') || hostname.endsWith('discordapp.com')) return 'discord';
+  return hostname;
+}
+
+function recordExternalCall(host, status, failed) {
+  externalRequestsTotal.inc({ host, status });
+  if (failed) externalRequestErrorsTotal.inc({ host });
+}
+
+async function fetch(url, options) {
+  const host = externalHostLabel(url);
+  try {
+    const response = await nodeFetch(url, options);
+    recordExternalCall(host, response.status, !response.ok);
+    return response;
+  } catch (error) {
+    recordExternalCall(host, 'error', true);
+    throw error;
+  }
+}
+
+function instrumentEthersProvider(provider, host = 'alchemy') {
+  provider.on('debug', (info) => {
+    if (info.action === 'receiveRpcResult') recordExternalCall(host, 'ok', false);
+    if (info.action === 'receiveRpcError') recordExternalCall(host, 'error', true);
+  });
+  return provider;
+}
+
+// Ordered RPC endpoints for a bot: its Alchemy key first (when set), then <PREFIX>_RPC_URLS or the
+// shared RPC_URLS list. Websocket URLs back the web3 subscriptions, http(s) URLs the ethers reads.
+function rpcEndpointsFor(prefix) {
+  const alchemyProjectId = process.env[`${prefix}_ALCHEMY_PROJECT_ID`];
+  const configured = (process.env[`${prefix}_RPC_URLS`] || process.env.RPC_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+  const urls = [
+    ...(alchemyProjectId
+      ? [`wss://eth-mainnet.g.alchemy.com/v2/${alchemyProjectId}`, `https://eth-mainnet.g.alchemy.com/v2/${alchemyProjectId}`]
+      : []),
+    ...configured
+  ];
+  return {
+    ws: urls.filter(url => /^wss?:\/\//i.test(url)),
+    http: urls.filter(url => /^https?:\/\//i.test(url))
+  };
+}
+
+// Read provider over the http(s) endpoints, tried in order; a stalled or failing endpoint hands the
+// request to the next one. Throws when no endpoint is configured.
+function createReadProvider(urls, label) {
+  const network = ethers.Network.from('mainnet');
+  const providers = urls.map(url =>
+    instrumentEthersProvider(new ethers.JsonRpcProvider(url, network, { staticNetwork: network }), externalHostLabel(url))
+  );
+
+  if (providers.length === 0) {
+    throw new Error(`[${label}] No http(s) RPC endpoints configured; set RPC_URLS or the bot's *_RPC_URLS / *_ALCHEMY_PROJECT_ID.`);
+  }
+  if (providers.length === 1) return providers[0];
+
+  return new ethers.FallbackProvider(
+    providers.map((provider, index) => ({ provider, priority: index + 1, stallTimeout: 2500 })),
+    network,
+    { quorum: 1 }
+  );
+}
+
+// Block spans each read provider has accepted for eth_getLogs, so later queries skip the probing.
+const logQuerySpans = new WeakMap();
+
+// Event logs for `filter` between two blocks, read newest chunk first. The whole range is tried in one
+// request; when the provider rejects it (most cap the block range or result count) the span is halved
+// until requests succeed. Reading stops once `stopWhen(events)` holds, or after `maxRequests` requests
+// with `complete: false`. Events are returned in chain order.
+async function queryLogsBackwards(contract, filter, fromBlock, toBlock, { stopWhen = null, maxRequests = 40, minSpan = 500 } = {}) {
+  const provider = contract.runner?.provider || contract.runner;
+  let span = logQuerySpans.get(provider) || toBlock - fromBlock + 1;
+  let end = toBlock;
+  let requests = 0;
+  let narrowed = false;
+  const events = [];
+
+  while (end >= fromBlock) {
+    if (requests >= maxRequests) return { events, complete: false };
+    requests += 1;
+
+    const start = Math.max(fromBlock, end - span + 1);
+    let chunk;
+    try {
+      chunk = await contract.queryFilter(filter, start, end);
+    } catch (error) {
+      if (span <= minSpan) throw error;
+      span = Math.max(minSpan, Math.floor(span / 2));
+      narrowed = true;
+      continue;
+    }
+    if (narrowed) logQuerySpans.set(provider, span);
+
+    events.unshift(...chunk);
+    if (stopWhen && stopWhen(events)) break;
+    end = start - 1;
+  }
+
+  return { events, complete: true };
+}
+
+const VAULT_ADDRESSES = [
+  '0x67bdcd02705cecf08cb296394db7d6ed00a496f9',
+  '0xa8b42c82a628dc43c2c2285205313e5106ea2853',
+  '0x98968f0747e0a261532cacc0be296375f5c08398',
+  '0xd4fe01ce79c84c68f9307d415b8f392d140c242c'
+];
+
+const MOONCAT_RESCUE_CONTRACT_ADDRESS = '0x60cd862c9c687a9de49aecdc3a99b74a4fc54ab6';
+
+const MARKETPLACES = {
+  opensea: {
+    name: 'OpenSea',
+    emoji: '<:logo_opensea:1202575710791933982>',
+    addresses: [
+      '0x00000000006c3852cbef3e08e8df289169ede581',
+      '0x00000000000006c7676171937c444f6bde3d6282',
+      '0x0000000000000ad24e80fd803c6ac37206a45f15',
+      '0x00000000000001ad428e4906ae43d8f9852d0dd6',
+      '0x00000000000000adc04c56bf30ac9d3c0aaf14dc',
+      '0x0000000000000068f116a894984e2db1123eb395'
+    ],
+    assetUrl: (contract, tokenId) => `https://opensea.io/assets/ethereum/${contract}/${tokenId}`
+  },
+  blur: {
+    name: 'Blur',
+    emoji: '<:logo_blur:1202577510458728458>',
+    addresses: [
+      '0x000000000000ad05ccc4f10045630fb830b95127',
+      '0xb2ecfe4e4d61f8790bbb9de2d1259b9e2410cea5',
+      '0x39da41747a83aee658334415666f3ef92dd0d541'
+    ],
+    assetUrl: (contract, tokenId) => `https://blur.io/asset/${contract}/${tokenId}`
+  },
+  blend: {
+    name: 'Blend',
+    emoji: '<:logo_blur:1202577510458728458>',
+    addresses: ['0x29469395eaf6f95920e59f858042f0e28d98a20b'],
+    assetUrl: (contract, tokenId) => `https://blur.io/asset/${contract}/${tokenId}`
+  },
+  looksrare: {
+    name: 'LooksRare',
+    emoji: '👀',
+    addresses: [
+      '0x59728544b08ab483533076417fbbb2fd0b17ce3a',
+      '0x0000000000e655fae4d56241588680f86e3b2377'
+    ],
+    assetUrl: (contract, tokenId) => `https://looksrare.org/collections/${contract}/${tokenId}`
+  },
+  x2y2: {
+    name: 'X2Y2',
+    emoji: '🟦',
+    addresses: ['0x74312363e45dcaba76c59ec49a7aa8a65a67eed3'],
+    assetUrl: (contract, tokenId) => `https://x2y2.io/eth/${contract}/${tokenId}`
+  },
+  sudoswap: {
+    name: 'Sudoswap',
+    emoji: '🌊',
+    addresses: [
+      '0x2b2e8cda09bba9660dca5cb6233787738ad68329',
+      '0xb16c1342e617a5b6e4b631eb114483fdb289c0a4',
+      '0xa020d57ab0448ef74115c112d18a9c231cc86000'
+    ],
+    assetUrl: (contract, tokenId) => `https://sudoswap.xyz/#/item/${contract}/${tokenId}`
+  },
+  nftx: {
+    name: 'NFTX',
+    emoji: '🏦',
+    addresses: VAULT_ADDRESSES,
+    assetUrl: (contract, tokenId) => `https://nftx.io/collection/${contract}/${tokenId}`
+  },
+  mooncatrescue: {
+    name: 'MoonCatRescue',
+    emoji: '🐱',
+    addresses: [MOONCAT_RESCUE_CONTRACT_ADDRESS],
+    assetUrl: (contract, rescueIndex) => `https://chainstation.mooncatrescue.com/mooncats/${rescueIndex}`
+  },
+  private: {
+    name: 'Private Sale',
+    emoji: '🤝',
+    addresses: [],
+    assetUrl: (contract, tokenId) => `https://etherscan.io/nft/${contract}/${tokenId}`
+  }
+};
+
+const MARKETPLACE_BY_ADDRESS = Object.fromEntries(
+  Object.entries(MARKETPLACES).flatMap(([key, marketplace]) => marketplace.addresses.map(address => [address, key]))
+);
+
+function resolveMarketplace({ protocolAddress, venue, counterparties = [], fallback = 'private' }) {
+  const byAddress = MARKETPLACE_BY_ADDRESS[String(protocolAddress || '').toLowerCase()];
+  if (byAddress) return MARKETPLACES[byAddress];
+
+  const byVenue = Object.values(MARKETPLACES).find(marketplace => venue && marketplace.name.toLowerCase() === venue.toLowerCase());
+  if (byVenue) return byVenue;
+
+  const vaultCounterparty = counterparties.find(address => MARKETPLACE_BY_ADDRESS[String(address || '').toLowerCase()] === 'nftx');
+  if (vaultCounterparty) return MARKETPLACES.nftx;
+
+  return MARKETPLACES[fallback];
+}
+
+// Builds a request URL under a webhook: `path` is appended to the pathname and `query` merged into the
+// existing search params, so a webhook configured with ?thread_id= keeps targeting its thread.
+function webhookRequestUrl(webhookUrl, { path = '', query = '' } = {}) {
+  const url = new URL(webhookUrl);
+  if (path) url.pathname = `${url.pathname.replace(/\/$/, '')}${path}`;
+  for (const [key, value] of new URLSearchParams(query)) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+// Dead letters never store a webhook URL (it embeds the webhook token): `webhookRef` turns a request URL
+// into a reference to the configured webhook plus the rest of the URL, and `webhookUrl` resolves it
+// again when the letter is replayed.
+function createDiscordDelivery({ maxAttempts = 5, baseBackoffMs = 1000, maxDeadLetters = 200, webhookRef = () => null, webhookUrl: resolveWebhookRef = () => null } = {}) {
+  const bucketByWebhook = {};
+  const buckets = {};
+  const webhookChains = {};
+  const pendingByWebhook = {};
+  let globalResetAt = 0;
+
+  const deadLetters = stateStore.get('discord', 'deadLetters', []);
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const redactWebhook = (webhookUrl) => String(webhookUrl).replace(/\/webhooks\/(\d+)\/[^/?]+/, '/webhooks/$1/***');
+
+  function persistDeadLetters() {
+    // Entries parked before webhook references existed still carry the raw URL.
+    for (const entry of deadLetters) {
+      if (!entry.webhookUrl) continue;
+      entry.webhookRef = webhookRef(entry.webhookUrl);
+      entry.target = redactWebhook(entry.webhookUrl);
+      delete entry.webhookUrl;
+    }
+    stateStore.set('discord', 'deadLetters', deadLetters);
+  }
+
+  async function waitForBucket(webhookUrl) {
+    const now = Date.now();
+    if (globalResetAt > now) await sleep(globalResetAt - now);
+
+    const bucket = buckets[bucketByWebhook[webhookUrl] || webhookUrl];
+    if (bucket && bucket.remaining <= 0 && bucket.resetAt > Date.now()) {
+      const waitMs = bucket.resetAt - Date.now();
+      console.log(`[discord] Bucket exhausted for ${redactWebhook(webhookUrl)}, waiting ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+  }
+
+  function updateBucket(webhookUrl, headers) {
+    const bucketId = headers.get('x-ratelimit-bucket') || webhookUrl;
+    bucketByWebhook[webhookUrl] = bucketId;
+
+    const remaining = headers.get('x-ratelimit-remaining');
+    const resetAfter = headers.get('x-ratelimit-reset-after');
+    if (remaining != null && resetAfter != null) {
+      buckets[bucketId] = {
+        remaining: Number(remaining),
+        resetAt: Date.now() + Number(resetAfter) * 1000
+      };
+    }
+  }
+
+  async function sendWithRetries(webhookUrl, payload, { method = 'POST', query = '' } = {}) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await waitForBucket(webhookUrl);
+
+      let response;
+      try {
+        response = await fetch(webhookRequestUrl(webhookUrl, { query }), {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+      } catch (error) {
+        lastError = error;
+        const delay = baseBackoffMs * (2 ** (attempt - 1)) + Math.random() * 250;
+        console.error(`[discord] Network error on attempt ${attempt} for ${redactWebhook(webhookUrl)}, retrying in ${Math.round(delay)}ms:`, error.message);
+        await sleep(delay);
+        continue;
+      }
+
+      updateBucket(webhookUrl, response.headers);
+      const text = await response.text();
+
+      if (response.ok) {
+        let body = null;
+        try {
+          body = text ? JSON.parse(text) : null;
+        } catch {
+          body = null;
+        }
+        return { ok: true, status: response.status, body };
+      }
+
+      if (response.status === 429) {
+        let retryAfterSec = Number(response.headers.get('retry-after') || 1);
+        try {
+          retryAfterSec = Number(JSON.parse(text).retry_after ?? retryAfterSec);
+        } catch {}
+        const retryAfterMs = Math.ceil(retryAfterSec * 1000);
+        if (response.headers.get('x-ratelimit-global')) globalResetAt = Date.now() + retryAfterMs;
+
+        lastError = new Error(`Rate limited (429), retry_after=${retryAfterSec}s`);
+        console.log(`[discord] 429 from ${redactWebhook(webhookUrl)}, retrying after ${retryAfterMs}ms (attempt ${attempt})`);
+        await sleep(retryAfterMs);
+        continue;
+      }
+
+      if (response.status >= 500) {
+        lastError = new Error(`Discord responded with ${response.status} ${response.statusText}`);
+        const delay = baseBackoffMs * (2 ** (attempt - 1)) + Math.random() * 250;
+        console.error(`[discord] ${response.status} from ${redactWebhook(webhookUrl)} on attempt ${attempt}, retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      return { ok: false, status: response.status, error: `Discord responded with ${response.status}: ${text.slice(0, 500)}` };
+    }
+
+    return { ok: false, status: null, error: lastError ? lastError.message : 'Unknown delivery error' };
+  }
+
+  // Deliveries to the same webhook are serialized so the rate-limit bookkeeping stays accurate.
+  function enqueueForWebhook(webhookUrl, task) {
+    pendingByWebhook[webhookUrl] = (pendingByWebhook[webhookUrl] || 0) + 1;
+    const previous = webhookChains[webhookUrl] || Promise.resolve();
+    const next = previous.catch(() => {}).then(task).finally(() => {
+      pendingByWebhook[webhookUrl] -= 1;
+      if (pendingByWebhook[webhookUrl] === 0) delete pendingByWebhook[webhookUrl];
+    });
+    webhookChains[webhookUrl] = next;
+    return next;
+  }
+
+  function parkDeadLetter(webhookUrl, payload, label, options, error) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      label,
+      webhookRef: webhookRef(webhookUrl),
+      target: redactWebhook(webhookUrl),
+      payload,
+      options,
+      error,
+      failedAt: new Date().toISOString()
+    };
+    deadLetters.push(entry);
+    if (deadLetters.length > maxDeadLetters) deadLetters.shift();
+    persistDeadLetters();
+    console.error(`[discord] Parked ${label} message for ${redactWebhook(webhookUrl)} in dead-letter store (id=${entry.id}): ${error}`);
+    return entry;
+  }
+
+  async function deliverOne(webhookUrl, payload, label, options = {}) {
+    const result = await enqueueForWebhook(webhookUrl, () => sendWithRetries(webhookUrl, payload, options));
+    if (result.ok) {
+      console.log(`[discord] Delivered ${label} message to ${redactWebhook(webhookUrl)}`);
+    } else {
+      parkDeadLetter(webhookUrl, payload, label, options, result.error);
+    }
+    return { webhookUrl, ...result };
+  }
+
+  async function deliver(webhooks, payload, label = 'message', options = {}) {
+    const targets = (Array.isArray(webhooks) ? webhooks : [webhooks]).filter(Boolean);
+    if (targets.length === 0) {
+      console.log(`[discord] No webhooks configured for ${label} message, skipping.`);
+      return [];
+    }
+    return Promise.all(targets.map(webhookUrl => deliverOne(webhookUrl, payload, label, options)));
+  }
+
+  function listDeadLetters() {
+    return deadLetters.map(({ webhookUrl, webhookRef: ref, target, ...entry }) => ({
+      ...entry,
+      webhook: target || redactWebhook(webhookUrl),
+      webhookName: ref?.name || null
+    }));
+  }
+
+  async function replayDeadLetter(id) {
+    const index = deadLetters.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    const entry = deadLetters[index];
+    const webhookUrl = entry.webhookUrl || (entry.webhookRef && resolveWebhookRef(entry.webhookRef));
+    if (!webhookUrl) {
+      return { ok: false, status: null, error: `Webhook for ${entry.target || 'this dead letter'} is no longer configured` };
+    }
+
+    deadLetters.splice(index, 1);
+    persistDeadLetters();
+    console.log(`[discord] Replaying dead-letter ${id} (${entry.label})`);
+    return deliverOne(webhookUrl, entry.payload, entry.label, entry.options);
+  }
+
+  function discardDeadLetter(id) {
+    const index = deadLetters.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    deadLetters.splice(index, 1);
+    persistDeadLetters();
+    return true;
+  }
+
+  function stats() {
+    const pending = {};
+    for (const [webhookUrl, count] of Object.entries(pendingByWebhook)) pending[redactWebhook(webhookUrl)] = count;
+    return { pending, deadLetters: deadLetters.length };
+  }
+
+  return { deliver, listDeadLetters, replayDeadLetter, discardDeadLetter, stats };
+}
+
+const discordDelivery = createDiscordDelivery({
+  webhookRef: (webhookUrl) => webhookRouter.webhookRef(webhookUrl),
+  webhookUrl: (ref) => webhookRouter.webhookUrlFor(ref)
+});
+
+function createWebhookRouter(configPath) {
+  const DEFAULT_CONFIG = {
+    webhooks: {
+      sales: 'env:SALES_DISCORD_WEBHOOK_URL',
+      sales2: 'env:SALES_DISCORD_WEBHOOK_URL2',
+      listings: 'env:LISTING_DISCORD_WEBHOOK_URL',
+      names: 'env:NAMING_DISCORD_WEBHOOK_URL',
+      migrations: 'env:MIGRATION_DISCORD_WEBHOOK_URL'
+    },
+    rules: [
+      { match: { kind: ['sale', 'sweep', 'adoption'] }, webhooks: ['sales', 'sales2'] },
+      { match: { kind: ['listing', 'priceDrop', 'offer', 'collectionOffer', 'adoptionOffer', 'adoptionRequest', 'floor'] }, webhooks: ['listings'] },
+      { match: { kind: 'name' }, webhooks: ['names'] },
+      { match: { kind: 'migration' }, webhooks: ['migrations'] }
+    ]
+  };
+
+  let config = DEFAULT_CONFIG;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log(`[routing] Loaded ${config.rules?.length || 0} routing rules from ${configPath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[routing] Failed to read routing config ${configPath}, using default routing:`, error);
+  }
+
+  const asList = (value) => (Array.isArray(value) ? value : [value]);
+  const lowerEquals = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  function resolveWebhook(name) {
+    const value = config.webhooks?.[name] ?? name;
+    if (typeof value === 'string' && value.startsWith('env:')) return process.env[value.slice(4)] || null;
+    return value || null;
+  }
+
+  async function ruleMatches(match = {}, event) {
+    if (match.kind != null && !asList(match.kind).includes(event.kind)) return false;
+    if (match.contract != null && !asList(match.contract).includes(event.contract)) return false;
+
+    if (match.minPrice != null && !(event.price != null && event.price >= match.minPrice)) return false;
+    if (match.maxPrice != null && !(event.price != null && event.price <= match.maxPrice)) return false;
+
+    if (match.classification != null) {
+      const classification = String(event.classification || '').toLowerCase();
+      if (!asList(match.classification).some(wanted => classification.includes(String(wanted).toLowerCase()))) return false;
+    }
+
+    if (match.vault != null && Boolean(event.vault) !== Boolean(match.vault)) return false;
+
+    if (match.trait != null) {
+      const traits = typeof event.traits === 'function' ? await event.traits() : event.traits;
+      if (!traits) return false;
+      for (const [key, wanted] of Object.entries(match.trait)) {
+        if (!asList(wanted).some(value => lowerEquals(traits[key], value))) return false;
+      }
+    }
+
+    return true;
+  }
+
+  async function route(event) {
+    if (typeof event.traits === 'function') {
+      const loadTraits = event.traits;
+      let pending = null;
+      event = { ...event, traits: () => (pending ??= loadTraits()) };
+    }
+
+    const webhooks = new Set();
+    for (const rule of config.rules || []) {
+      try {
+        if (!(await ruleMatches(rule.match, event))) continue;
+      } catch (error) {
+        console.error(`[routing] Error evaluating routing rule for ${event.kind}:`, error);
+        continue;
+      }
+
+      for (const name of asList(rule.webhooks || [])) {
+        const webhookUrl = resolveWebhook(name);
+        if (webhookUrl) webhooks.add(webhookUrl);
+      }
+      if (rule.stop) break;
+    }
+    return [...webhooks];
+  }
+
+  // Configured webhook names, including `env:` references used directly in rules. Rules may also name
+  // literal URLs; those have no name to refer to them by.
+  function webhookNames() {
+    const names = new Set(Object.keys(config.webhooks || {}));
+    for (const rule of config.rules || []) {
+      for (const name of asList(rule.webhooks || [])) {
+        if (typeof name === 'string' && name.startsWith('env:')) names.add(name);
+      }
+    }
+    return [...names];
+  }
+
+  // Reference to a request URL under a configured webhook: its name plus the remaining path and query.
+  function webhookRef(webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch {
+      return null;
+    }
+    for (const name of webhookNames()) {
+      const base = resolveWebhook(name);
+      if (!base) continue;
+      let baseUrl;
+      try {
+        baseUrl = new URL(base);
+      } catch {
+        continue;
+      }
+      if (url.origin !== baseUrl.origin) continue;
+      if (url.pathname === baseUrl.pathname || url.pathname.startsWith(`${baseUrl.pathname}/`)) {
+        return { name, path: url.pathname.slice(baseUrl.pathname.length), query: url.search };
+      }
+    }
+    return null;
+  }
+
+  function webhookUrlFor(ref) {
+    const base = ref?.name ? resolveWebhook(ref.name) : null;
+    return base ? webhookRequestUrl(base, { path: ref.path, query: ref.query }) : null;
+  }
+
+  return { route, webhookRef, webhookUrlFor };
+}
+
+const webhookRouter = createWebhookRouter(
+  process.env.ROUTING_CONFIG_PATH || path.join(__dirname, 'routing.json')
+);
+
+function createFloorTracker({ alertPercent = 10, trackClassifications = false } = {}) {
+  const book = stateStore.get('floor', 'book', {});
+  const lastFloors = stateStore.get('floor', 'lastFloors', {});
+  const alertHandlers = [];
+
+  function persist() {
+    stateStore.set('floor', 'book', book);
+    stateStore.set('floor', 'lastFloors', lastFloors);
+  }
+
+  const bucketOf = (classification) => (classification ? String(classification).split(',')[0].trim() : null);
+  const isLive = (entry, nowSec) => !entry.expiresAt || entry.expiresAt > nowSec;
+
+  function scopesFor(entry) {
+    const scopes = [entry.collection];
+    const bucket = bucketOf(entry.classification);
+    if (trackClassifications && bucket) scopes.push(`${entry.collection}:${bucket}`);
+    return scopes;
+  }
+
+  function computeFloor(scope) {
+    const nowSec = Date.now() / 1000;
+    let floor = null;
+    for (const entry of Object.values(book)) {
+      if (!isLive(entry, nowSec) || !scopesFor(entry).includes(scope)) continue;
+      if (!floor || entry.price < floor.price) floor = entry;
+    }
+    return floor;
+  }
+
+  function emit(alert) {
+    for (const handler of alertHandlers) {
+      Promise.resolve()
+        .then(() => handler(alert))
+        .catch(error => console.error(`[floor] Error in floor alert handler for ${alert.scope}:`, error));
+    }
+  }
+
+  // Runs a book mutation and alerts on any scope whose floor moved past the threshold,
+  // or whose new floor is the listing that was just added.
+  function mutate(scopes, change, newOrderHash = null) {
+    const before = Object.fromEntries(scopes.map(scope => [scope, computeFloor(scope)]));
+    change();
+
+    for (const scope of new Set(scopes)) {
+      const floor = computeFloor(scope);
+      if (!floor) continue;
+
+      const previous = lastFloors[scope];
+      if (!previous) {
+        lastFloors[scope] = { price: floor.price, orderHash: floor.orderHash };
+        continue;
+      }
+
+      const changePct = ((floor.price - previous.price) / previous.price) * 100;
+      let reason = null;
+      if (newOrderHash && floor.orderHash === newOrderHash && (!before[scope] || floor.price < before[scope].price)) {
+        reason = 'newFloorListing';
+      } else if (Math.abs(changePct) >= alertPercent) {
+        reason = 'floorMoved';
+      }
+      if (!reason) continue;
+
+      lastFloors[scope] = { price: floor.price, orderHash: floor.orderHash };
+      emit({ scope, reason, floor: { ...floor }, previousPrice: previous.price, changePct });
+    }
+    persist();
+  }
+
+  function addListing(entry) {
+    if (!entry?.orderHash || !Number.isFinite(entry.price) || entry.price <= 0) return;
+    const scopes = scopesFor(entry);
+    mutate(scopes, () => { book[entry.orderHash] = entry; }, entry.orderHash);
+  }
+
+  function removeWhere(predicate) {
+    const removed = Object.values(book).filter(predicate);
+    if (removed.length === 0) return 0;
+    mutate(removed.flatMap(scopesFor), () => {
+      for (const entry of removed) delete book[entry.orderHash];
+    });
+    return removed.length;
+  }
+
+  function removeOrder(orderHash) {
+    return removeWhere(entry => entry.orderHash === orderHash);
+  }
+
+  // A transfer invalidates every listing the previous owner had open for that token.
+  function removeToken(collection, tokenId, fromAddress) {
+    const from = fromAddress ? String(fromAddress).toLowerCase() : null;
+    return removeWhere(entry =>
+      entry.collection === collection &&
+      String(entry.tokenId) === String(tokenId) &&
+      (!from || String(entry.maker).toLowerCase() === from)
+    );
+  }
+
+  // Replaces a collection's book with an authoritative snapshot (e.g. OpenSea best listings).
+  function replaceCollection(collection, entries) {
+    const stale = Object.values(book).filter(entry => entry.collection === collection);
+    const fresh = entries.filter(entry => entry?.orderHash && Number.isFinite(entry.price) && entry.price > 0);
+    mutate([...stale, ...fresh].flatMap(scopesFor), () => {
+      for (const entry of stale) delete book[entry.orderHash];
+      for (const entry of fresh) book[entry.orderHash] = entry;
+    });
+  }
+
+  function pruneExpired() {
+    const nowSec = Date.now() / 1000;
+    return removeWhere(entry => !isLive(entry, nowSec));
+  }
+
+  function floorFor(scope, { excludeOrderHash = null } = {}) {
+    const nowSec = Date.now() / 1000;
+    let floor = null;
+    for (const entry of Object.values(book)) {
+      if (entry.orderHash === excludeOrderHash || !isLive(entry, nowSec) || !scopesFor(entry).includes(scope)) continue;
+      if (!floor || entry.price < floor.price) floor = entry;
+    }
+    return floor ? { ...floor } : null;
+  }
+
+  function floors() {
+    const nowSec = Date.now() / 1000;
+    const scopes = new Set(Object.values(book).filter(entry => isLive(entry, nowSec)).flatMap(scopesFor));
+    const result = {};
+    for (const scope of scopes) {
+      const floor = computeFloor(scope);
+      result[scope] = {
+        price: floor.price,
+        tokenId: floor.tokenId,
+        orderHash: floor.orderHash,
+        listings: Object.values(book).filter(entry => isLive(entry, nowSec) && scopesFor(entry).includes(scope)).length
+      };
+    }
+    return result;
+  }
+
+  function onAlert(handler) {
+    alertHandlers.push(handler);
+  }
+
+  return { addListing, removeOrder, removeToken, replaceCollection, pruneExpired, floorFor, floors, onAlert };
+}
+
+const floorTracker = createFloorTracker({
+  alertPercent: Number(process.env.FLOOR_ALERT_PERCENT || 10),
+  trackClassifications: process.env.FLOOR_TRACK_CLASSIFICATIONS === 'true'
+});
+
+function createSalesHistory() {
+  const lastSales = stateStore.get('history', 'lastSales', {});
+  const acquisitions = stateStore.get('history', 'acquisitions', {});
+  const saleCounts = stateStore.get('history', 'saleCounts', {});
+
+  const tokenKey = (collection, tokenId) => `${collection}:${tokenId}`;
+
+  function recordSale(collection, tokenId, sale) {
+    const key = tokenKey(collection, tokenId);
+    if (lastSales[key] && lastSales[key].timestamp > sale.timestamp) return;
+    lastSales[key] = sale;
+    stateStore.set('history', 'lastSales', lastSales);
+  }
+
+  function recordTransfer(collection, tokenId, { to, timestamp, transactionHash }) {
+    const key = tokenKey(collection, tokenId);
+    if (acquisitions[key] && acquisitions[key].timestamp > timestamp) return;
+    acquisitions[key] = { owner: String(to).toLowerCase(), timestamp, transactionHash };
+    stateStore.set('history', 'acquisitions', acquisitions);
+  }
+
+  // Lifetime number of sales of the token up to and including block `throughBlock`.
+  function recordSaleCount(collection, tokenId, count, throughBlock) {
+    const key = tokenKey(collection, tokenId);
+    if (saleCounts[key] && saleCounts[key].throughBlock >= throughBlock) return;
+    saleCounts[key] = { count, throughBlock };
+    stateStore.set('history', 'saleCounts', saleCounts);
+  }
+
+  function saleCount(collection, tokenId) {
+    return saleCounts[tokenKey(collection, tokenId)] || null;
+  }
+
+  function lastSale(collection, tokenId) {
+    return lastSales[tokenKey(collection, tokenId)] || null;
+  }
+
+  function acquiredAt(collection, tokenId, owner) {
+    const acquisition = acquisitions[tokenKey(collection, tokenId)];
+    if (!acquisition || acquisition.owner !== String(owner).toLowerCase()) return null;
+    return acquisition.timestamp;
+  }
+
+  return { recordSale, recordTransfer, recordSaleCount, lastSale, acquiredAt, saleCount };
+}
+
+const salesHistory = createSalesHistory();
+
+// Remembers the Discord messages posted for each listing so the embed can be edited once the
+// listing sells or is withdrawn. Handlers registered with onSold hear about every on-chain sale
+// the sales bot sees, whether or not a listing message was posted for it.
+function createListingMessages({ maxEntries = 500 } = {}) {
+  const entries = stateStore.get('listingMessages', 'entries', {});
+  const soldHandlers = [];
+
+  const SOLD_COLOR = 15158332;
+  const CLOSED_COLOR = 9807270;
+
+  function persist() {
+    const hashes = Object.keys(entries);
+    for (const orderHash of hashes.slice(0, Math.max(0, hashes.length - maxEntries))) delete entries[orderHash];
+    stateStore.set('listingMessages', 'entries', entries);
+  }
+
+  function remember(orderHash, { collection, tokenId, maker, payload, results }) {
+    const messages = (results || [])
+      .filter(result => result.ok && result.body?.id)
+      .map(result => ({ webhookUrl: result.webhookUrl, messageId: result.body.id }));
+    if (!orderHash || messages.length === 0) return;
+
+    entries[orderHash] = {
+      collection,
+      tokenId: String(tokenId),
+      maker: String(maker).toLowerCase(),
+      payload,
+      messages,
+      postedAt: Date.now()
+    };
+    persist();
+  }
+
+  async function resolve(orderHash, marker, color) {
+    const entry = entries[orderHash];
+    if (!entry) return;
+    delete entries[orderHash];
+    persist();
+
+    const [embed, ...rest] = entry.payload.embeds;
+    const payload = {
+      ...entry.payload,
+      embeds: [{ ...embed, title: `${embed.title} · ${marker}`, color }, ...rest]
+    };
+
+    for (const { webhookUrl, messageId } of entry.messages) {
+      await discordDelivery.deliver(webhookRequestUrl(webhookUrl, { path: `/messages/${messageId}` }), payload,
+        `${marker} edit for ${entry.collection} #${entry.tokenId}`, { method: 'PATCH' });
+    }
+  }
+
+  function onSold(handler) {
+    soldHandlers.push(handler);
+  }
+
+  async function markSold(collection, tokenId, seller, priceText) {
+    const sellerAddress = String(seller).toLowerCase();
+    for (const handler of soldHandlers) {
+      try {
+        handler(collection, String(tokenId), sellerAddress);
+      } catch (error) {
+        console.error(`Error handling sale of ${collection} #${tokenId}:`, error);
+      }
+    }
+    const orderHashes = Object.keys(entries).filter(orderHash => {
+      const entry = entries[orderHash];
+      return entry.collection === collection && entry.tokenId === String(tokenId) && entry.maker === sellerAddress;
+    });
+    for (const orderHash of orderHashes) await resolve(orderHash, `SOLD for ${priceText}`, SOLD_COLOR);
+  }
+
+  async function markClosed(orderHash, reason) {
+    await resolve(orderHash, reason === 'expired' ? 'Expired' : 'Cancelled', CLOSED_COLOR);
+  }
+
+  return { remember, markSold, markClosed, onSold };
+}
+
+const listingMessages = createListingMessages();
+
+// ETH/USD rates shared by all bots. Sources are tried in order: CoinMarketCap, CoinGecko, then the
+// Chainlink ETH/USD feed read through the caller's ethers provider. Lookups for a timestamp older
+// than a few minutes ask each source for the rate at that time instead of the latest quote.
+function createPriceService({ coinMarketCapApiKey, coinGeckoApiKey, spotTtlMs = 300000, maxHistoricalRates = 500 } = {}) {
+  const CHAINLINK_ETH_USD_FEED = '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419';
+  const CHAINLINK_DECIMALS = 8;
+  const HISTORICAL_AFTER_MS = 600000;
+  const chainlinkAbi = [
+    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+  ];
+
+  let spot = null;
+  const historical = new Map();
+
+  async function fetchJson(url, headers = {}) {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json', ...headers } });
+    if (!response.ok) throw new Error(`API responded with status ${response.status}`);
+    return response.json();
+  }
+
+  function closestPrice(points, timestamp) {
+    if (points.length === 0) throw new Error('No price points returned for the requested time.');
+    return points.reduce((best, point) =>
+      Math.abs(point[0] - timestamp) < Math.abs(best[0] - timestamp) ? point : best
+    )[1];
+  }
+
+  async function readChainlink(provider, blockTag) {
+    const feed = new ethers.Contract(CHAINLINK_ETH_USD_FEED, chainlinkAbi, provider);
+    const [, answer] = await feed.latestRoundData({ blockTag });
+    return Number(answer) / (10 ** CHAINLINK_DECIMALS);
+  }
+
+  const coinMarketCapHeaders = () => ({ 'X-CMC_PRO_API_KEY': coinMarketCapApiKey });
+  const coinGeckoHeaders = () => (coinGeckoApiKey ? { 'x-cg-demo-api-key': coinGeckoApiKey } : {});
+
+  const sources = [
+    {
+      name: 'coinmarketcap',
+      enabled: () => Boolean(coinMarketCapApiKey),
+      async spot() {
+        const params = new URLSearchParams({ symbol: 'ETH', convert: 'USD' });
+        const data = await fetchJson(`https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?${params}`, coinMarketCapHeaders());
+        return data.data.ETH.quote.USD.price;
+      },
+      async at({ timestamp }) {
+        const params = new URLSearchParams({
+          symbol: 'ETH',
+          convert: 'USD',
+          interval: '5m',
+          time_start: new Date(timestamp - 600000).toISOString(),
+          time_end: new Date(timestamp + 600000).toISOString()
+        });
+        const data = await fetchJson(`https://pro-api.coinmarketcap.com/v2/cryptocurrency/quotes/historical?${params}`, coinMarketCapHeaders());
+        const quotes = data.data?.ETH?.[0]?.quotes || data.data?.quotes || [];
+        return closestPrice(quotes.map(quote => [Date.parse(quote.timestamp), quote.quote.USD.price]), timestamp);
+      }
+    },
+    {
+      name: 'coingecko',
+      enabled: () => true,
+      async spot() {
+        const data = await fetchJson('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd', coinGeckoHeaders());
+        return data.ethereum.usd;
+      },
+      async at({ timestamp }) {
+        const seconds = Math.floor(timestamp / 1000);
+        const params = new URLSearchParams({ vs_currency: 'usd', from: String(seconds - 3600), to: String(seconds + 3600) });
+        const data = await fetchJson(`https://api.coingecko.com/api/v3/coins/ethereum/market_chart/range?${params}`, coinGeckoHeaders());
+        return closestPrice(data.prices || [], timestamp);
+      }
+    },
+    {
+      name: 'chainlink',
+      enabled: ({ provider }) => Boolean(provider),
+      spot: ({ provider }) => readChainlink(provider, 'latest'),
+      async at({ provider, blockTag }) {
+        if (blockTag == null) throw new Error('No block number for a historical Chainlink read.');
+        return readChainlink(provider, blockTag);
+      }
+    }
+  ];
+
+  function rememberHistorical(key, rate) {
+    historical.set(key, rate);
+    if (historical.size > maxHistoricalRates) historical.delete(historical.keys().next().value);
+  }
+
+  // Returns the ETH/USD rate, or null when every source fails. Pass the sale's timestamp (ms) and
+  // block number to price a past event.
+  async function ethUsdRate({ timestamp = null, blockTag = null, provider = null } = {}) {
+    const isHistorical = timestamp != null && Date.now() - timestamp > HISTORICAL_AFTER_MS;
+    const historicalKey = isHistorical ? Math.floor(timestamp / 60000) : null;
+
+    if (!isHistorical && spot && Date.now() - spot.fetchedAt < spotTtlMs) return spot.rate;
+    if (isHistorical && historical.has(historicalKey)) return historical.get(historicalKey);
+
+    for (const source of sources) {
+      if (!source.enabled({ provider })) continue;
+      try {
+        const rate = Number(isHistorical
+          ? await source.at({ timestamp, blockTag, provider })
+          : await source.spot({ provider }));
+        if (!Number.isFinite(rate) || rate <= 0) throw new Error(`Invalid rate ${rate}`);
+
+        if (isHistorical) {
+          rememberHistorical(historicalKey, rate);
+          console.log(`[price] ETH/USD at ${new Date(timestamp).toISOString()} from ${source.name}: ${rate}`);
+        } else {
+          spot = { rate, source: source.name, fetchedAt: Date.now() };
+          console.log(`[price] ETH/USD from ${source.name}: ${rate}`);
+        }
+        return rate;
+      } catch (error) {
+        console.error(`[price] ${source.name} ${isHistorical ? 'historical ' : ''}ETH/USD lookup failed: ${error.message}`);
+      }
+    }
+
+    console.error('[price] No ETH/USD rate available from any source.');
+    return null;
+  }
+
+  function stats() {
+    return spot ? { source: spot.source, rate: spot.rate, fetchedAt: new Date(spot.fetchedAt).toISOString() } : null;
+  }
+
+  return { ethUsdRate, stats };
+}
+
+const priceService = createPriceService({
+  coinMarketCapApiKey: process.env.SALES_COINMARKETCAP_API_KEY ||
+    process.env.LISTING_COINMARKETCAP_API_KEY ||
+    process.env.NAMING_COINMARKETCAP_API_KEY,
+  coinGeckoApiKey: process.env.COINGECKO_API_KEY
+});
+
+// Payment tokens seen in sales and listings: display symbol, decimals and how an amount is valued in
+// USD ('eth' tokens at the ETH/USD rate, 'usd' stablecoins at face value, anything else at its
+// CoinGecko market price). ERC-20 tokens that are not listed here are read from chain on first sight.
+function createPaymentTokenRegistry({ coinGeckoApiKey, marketPriceTtlMs = 300000 } = {}) {
+  const KNOWN_TOKENS = {
+    '0x0000000000000000000000000000000000000000': { symbol: 'ETH', decimals: 18, pricing: 'eth' },
+    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18, pricing: 'eth' },
+    '0x0000000000a39bb272e79075ade125fd351887ac': { symbol: 'ETH', name: 'Blur Pool', decimals: 18, pricing: 'eth' },
+    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6, pricing: 'usd' },
+    '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6, pricing: 'usd' },
+    '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18, pricing: 'usd' }
+  };
+  const SYMBOL_PRICING = { ETH: 'eth', WETH: 'eth', USDC: 'usd', USDT: 'usd', DAI: 'usd' };
+
+  const erc20Abi = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+  ];
+
+  const discovered = stateStore.get('paymentTokens', 'discovered', {});
+  const marketPrices = new Map();
+
+  const lower = (value) => String(value).toLowerCase();
+  const pricingForSymbol = (symbol) => SYMBOL_PRICING[String(symbol || 'ETH').toUpperCase()] || 'market';
+
+  function lookup(address) {
+    if (!address) return null;
+    const key = lower(address);
+    const token = KNOWN_TOKENS[key] || discovered[key];
+    return token ? { address: key, ...token } : null;
+  }
+
+  // Whether the address is one of the built-in payment currencies (not merely discovered on chain).
+  function isKnown(address) {
+    return Boolean(address && KNOWN_TOKENS[lower(address)]);
+  }
+
+  // Registry entry for an on-chain currency address, reading symbol() and decimals() for unknown tokens.
+  async function resolve(address, provider) {
+    const token = lookup(address);
+    if (token || !provider) return token;
+
+    const key = lower(address);
+    try {
+      const contract = new ethers.Contract(key, erc20Abi, provider);
+      const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+      discovered[key] = { symbol, decimals: Number(decimals), pricing: pricingForSymbol(symbol) };
+      stateStore.set('paymentTokens', 'discovered', discovered);
+      console.log(`[tokens] Registered payment token ${symbol} (${key}) with ${decimals} decimals.`);
+      return { address: key, ...discovered[key] };
+    } catch (error) {
+      console.error(`[tokens] Could not read ERC-20 metadata for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Normalizes an OpenSea payment (events API or stream payload); registry data wins over OpenSea's.
+  function fromOpenSea(payment) {
+    const address = payment?.token_address || payment?.address || null;
+    const token = lookup(address);
+    const symbol = token?.symbol || payment?.symbol || 'ETH';
+    return {
+      symbol,
+      decimals: Number(token?.decimals ?? payment?.decimals ?? 18),
+      address: address ? lower(address) : null,
+      pricing: token?.pricing || pricingForSymbol(symbol),
+      quantity: String(payment?.quantity ?? '0')
+    };
+  }
+
+  async function marketPrice(address) {
+    const cached = marketPrices.get(address);
+    if (cached && Date.now() - cached.fetchedAt < marketPriceTtlMs) return cached.price;
+
+    const params = new URLSearchParams({ contract_addresses: address, vs_currencies: 'usd' });
+    try {
+      const response = await fetch(`https://api.coingecko.com/api/v3/simple/token_price/ethereum?${params}`, {
+        headers: { 'Accept': 'application/json', ...(coinGeckoApiKey ? { 'x-cg-demo-api-key': coinGeckoApiKey } : {}) }
+      });
+      if (!response.ok) throw new Error(`API responded with status ${response.status}`);
+      const data = await response.json();
+      const price = Number(data[address]?.usd);
+      if (!Number.isFinite(price) || price <= 0) return null;
+      marketPrices.set(address, { price, fetchedAt: Date.now() });
+      return price;
+    } catch (error) {
+      console.error(`[tokens] Error fetching USD price for ${address}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // USD value of `amount` whole tokens, or null when the token cannot be priced.
+  async function usdValue(payment, amount, ethUsdRate) {
+    const pricing = payment?.pricing || pricingForSymbol(payment?.symbol);
+    if (pricing === 'eth') return ethUsdRate ? amount * ethUsdRate : null;
+    if (pricing === 'usd') return amount;
+    if (!payment?.address) return null;
+    const price = await marketPrice(lower(payment.address));
+    return price ? amount * price : null;
+  }
+
+  // ETH equivalent of `amount` whole tokens, used where thresholds are expressed in ETH.
+  async function ethValue(payment, amount, ethUsdRate) {
+    if ((payment?.pricing || pricingForSymbol(payment?.symbol)) === 'eth') return amount;
+    const usd = await usdValue(payment, amount, ethUsdRate);
+    return usd != null && ethUsdRate ? usd / ethUsdRate : null;
+  }
+
+  return { resolve, isKnown, fromOpenSea, usdValue, ethValue };
+}
+
+const paymentTokens = createPaymentTokenRegistry({ coinGeckoApiKey: process.env.COINGECKO_API_KEY });
+
+// Every OpenSea HTTP call goes through this client. Each API key gets its own token bucket, shared by
+// all bots using that key; a 429 holds the key's requests for the Retry-After period before retrying.
+// Identical in-flight GETs are coalesced and successful responses can be cached per call.
+function createOpenSeaClient({ ratePerSecond = 2, burst = 4, maxRetries = 2, maxCacheEntries = 500 } = {}) {
+  const buckets = {};
+  const inFlight = new Map();
+  const cache = new Map();
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const redactKey = (apiKey) => (apiKey ? `${String(apiKey).slice(0, 4)}***` : 'none');
+
+  function bucketFor(apiKey) {
+    const key = apiKey || '';
+    if (!buckets[key]) {
+      buckets[key] = { tokens: burst, updatedAt: Date.now(), blockedUntil: 0, chain: Promise.resolve(), rateLimited: 0 };
+    }
+    return buckets[key];
+  }
+
+  async function takeToken(bucket) {
+    for (;;) {
+      const now = Date.now();
+      if (bucket.blockedUntil > now) {
+        await sleep(bucket.blockedUntil - now);
+        continue;
+      }
+      bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+      bucket.updatedAt = now;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - bucket.tokens) / ratePerSecond) * 1000);
+    }
+  }
+
+  // Requests for one key take their tokens in arrival order.
+  function acquire(bucket) {
+    const turn = bucket.chain.then(() => takeToken(bucket));
+    bucket.chain = turn.catch(() => {});
+    return turn;
+  }
+
+  function retryAfterMs(response) {
+    const header = response.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  async function send(apiKey, url, label) {
+    const bucket = bucketFor(apiKey);
+    for (let attempt = 0; ; attempt += 1) {
+      await acquire(bucket);
+      const response = await fetch(url, { headers: { 'X-API-KEY': apiKey, 'Accept': 'application/json' } });
+      const text = await response.text();
+
+      if (response.status === 429) {
+        const waitMs = retryAfterMs(response) ?? Math.min(60000, 2000 * (2 ** attempt));
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + waitMs);
+        bucket.rateLimited += 1;
+        console.log(`[OpenSea:${label}] Rate limited (429); holding requests for key ${redactKey(apiKey)} for ${Math.round(waitMs / 1000)}s.`);
+        if (attempt < maxRetries) continue;
+      }
+
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = null;
+      }
+      return { ok: response.ok, status: response.status, statusText: response.statusText, data, text };
+    }
+  }
+
+  async function get(apiKey, url, { cacheTtlMs = 0, label = 'request' } = {}) {
+    const key = `${apiKey || ''} ${url}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.result;
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const request = send(apiKey, url, label)
+      .then(result => {
+        if (cacheTtlMs > 0 && result.ok) {
+          cache.set(key, { result, expiresAt: Date.now() + cacheTtlMs });
+          if (cache.size > maxCacheEntries) cache.delete(cache.keys().next().value);
+        }
+        return result;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+    return request;
+  }
+
+  function stats() {
+    const keys = {};
+    for (const [apiKey, bucket] of Object.entries(buckets)) {
+      keys[redactKey(apiKey)] = {
+        tokens: Math.floor(bucket.tokens),
+        blockedForMs: Math.max(0, bucket.blockedUntil - Date.now()),
+        rateLimited: bucket.rateLimited
+      };
+    }
+    return { keys, inFlight: inFlight.size, cached: cache.size };
+  }
+
+  return { get, stats };
+}
+
+const openSea = createOpenSeaClient({
+  ratePerSecond: Number(process.env.OPENSEA_RATE_PER_SECOND || 2),
+  burst: Number(process.env.OPENSEA_BURST || 4)
+});
+
+// OpenSea v2 events API with cursor paging. Pages are followed through `next` until the cursor runs
+// out, an event on the page satisfies `until`, or `maxPages` is reached. `after`/`before` are unix
+// seconds and are passed through as OpenSea's time window.
+function createOpenSeaEventsClient(apiKey, { pageSize = 50, maxPages = 10 } = {}) {
+  async function fetchPage(url, label) {
+    const { ok, status, statusText, data, text } = await openSea.get(apiKey, url, { label });
+
+    if (!ok) {
+      console.error(`[OpenSea:${label}] HTTP ${status} ${statusText} body=${text.slice(0, 500)}`);
+      return { events: [], next: null, status };
+    }
+
+    const events = data?.asset_events || data?.events || [];
+    if (!Array.isArray(events)) {
+      const keys = data ? Object.keys(data).join(",") : "null";
+      console.error(`[OpenSea:${label}] Unexpected JSON shape keys=${keys} body=${text.slice(0, 500)}`);
+      return { events: [], next: null, status: 200 };
+    }
+
+    return { events, next: data?.next || null, status: 200 };
+  }
+
+  async function fetchEvents(path, { eventTypes = [], after = null, before = null, until = null, maxPages: pageLimit = maxPages, label = path } = {}) {
+    const params = new URLSearchParams({ limit: String(pageSize) });
+    for (const eventType of eventTypes) params.append('event_type', eventType);
+    if (after != null) params.set('after', String(Math.floor(after)));
+    if (before != null) params.set('before', String(Math.floor(before)));
+
+    const events = [];
+    for (let page = 1; page <= pageLimit; page += 1) {
+      const { events: pageEvents, next, status } = await fetchPage(`https://api.opensea.io/api/v2/${path}?${params}`, label);
+      if (status !== 200) return { events, status, complete: false };
+
+      events.push(...pageEvents);
+      if (!next || (until && pageEvents.some(until))) return { events, status, complete: true };
+
+      if (page === pageLimit) break;
+      params.set('next', next);
+    }
+
+    console.log(`[OpenSea:${label}] Stopped after ${pageLimit} pages with more events remaining.`);
+    return { events, status: 200, complete: false };
+  }
+
+  return { fetchEvents };
+}
 
 const isBlacklistedName = (s) =>
   typeof s === 'string' &&
@@ -33,19 +1476,68 @@ const isBlockedFullName = (s) => {
   return isBlacklistedName(s) || lower.includes('bonna') || lower.includes('discord');
 };
 
-function createWeb3Provider(alchemyProjectId, getWeb3, label = 'ws') {
-  const maxRetries = 10;
+const web3ConnectHandlers = {};
+const web3ProviderStatus = {};
+const statusReporters = {};
+const botLastEventAt = {};
+
+function registerStatusReporter(name, reporter) {
+  statusReporters[name] = reporter;
+}
+
+function recordBotEvent(bot) {
+  botLastEventAt[bot] = new Date().toISOString();
+}
+
+const interactionCommands = {};
+
+function registerInteractionCommand(definition, handler) {
+  interactionCommands[definition.name] = { definition, handler };
+}
+
+function onWeb3Connect(label, handler) {
+  if (!web3ConnectHandlers[label]) web3ConnectHandlers[label] = [];
+  web3ConnectHandlers[label].push(handler);
+}
+
+function createWeb3Provider(endpoints, getWeb3, label = 'ws') {
+  const unhealthyAfterRetries = 10;
   let retryCount = 0;
   let reconnecting = false;
   let wsProvider = null;
+  let endpointIndex = 0;
   let pingInterval = null;
   let healthInterval = null;
+  let lastConnectedAt = null;
+  let lastDisconnectedAt = null;
+
+  web3ProviderStatus[label] = () => {
+    const connected = Boolean(wsProvider && wsProvider.connected);
+    return {
+      configured: endpoints.length > 0,
+      connected,
+      reconnecting,
+      retryCount,
+      endpoint: endpoints.length > 0 ? externalHostLabel(endpoints[endpointIndex]) : null,
+      endpoints: endpoints.map(externalHostLabel),
+      exhausted: !connected && retryCount >= unhealthyAfterRetries,
+      lastConnectedAt,
+      lastDisconnectedAt
+    };
+  };
+
+  if (endpoints.length === 0) {
+    console.error(`[${label}] No websocket RPC endpoints configured; on-chain subscriptions are disabled.`);
+    return null;
+  }
 
+  // The first pass over the endpoint list is quick; backoff only grows once every endpoint has failed.
   const reconnectDelay = (retries) => {
     const baseReconnectInterval = 1000;
     const maxReconnectInterval = 30000;
     const jitter = Math.random() * 1000;
-    return Math.min(baseReconnectInterval * (2 ** retries) + jitter, maxReconnectInterval);
+    const cycles = Math.floor(retries / endpoints.length);
+    return Math.min(baseReconnectInterval * (2 ** cycles) + jitter, maxReconnectInterval);
   };
 
   function stopPing() {
@@ -94,100 +1586,377 @@ function createWeb3Provider(alchemyProjectId, getWeb3, label = 'ws') {
       console.error(`[${label}] Error closing websocket connection:`, e);
     }
 
-    wsProvider = new Web3.providers.WebsocketProvider(
-      `wss://eth-mainnet.g.alchemy.com/v2/${alchemyProjectId}`
-    );
+    const endpoint = endpoints[endpointIndex];
+    const host = externalHostLabel(endpoint);
+    console.log(`[${label}] Connecting to RPC endpoint ${endpointIndex + 1}/${endpoints.length} (${host})...`);
+
+    const provider = new Web3.providers.WebsocketProvider(endpoint);
+    wsProvider = provider;
+
+    const send = provider.send.bind(provider);
+    provider.send = (payload, callback) => send(payload, (error, result) => {
+      const failed = Boolean(error || result?.error);
+      recordExternalCall(host, failed ? 'error' : 'ok', failed);
+      callback(error, result);
+    });
+
+    provider.on('connect', () => {
+      if (provider !== wsProvider) return;
+      console.log(`[${label}] WebSocket connection established (${host}).`);
+      lastConnectedAt = new Date().toISOString();
+      retryCount = 0;
+      reconnecting = false;
+      startPing();
+      for (const handler of web3ConnectHandlers[label] || []) {
+        try {
+          handler();
+        } catch (error) {
+          console.error(`[${label}] Error in connect handler:`, error);
+        }
+      }
+    });
+
+    // Events from a provider that has already been replaced are ignored so closing it does not
+    // trigger another reconnect. A failing socket usually emits 'error' and then 'close'; only the
+    // first schedules a reconnect, otherwise the second would count as another attempt and skip an endpoint.
+    let disconnected = false;
+    const onDisconnect = (reason, error) => {
+      if (provider !== wsProvider || disconnected) return;
+      disconnected = true;
+      console.error(`[${label}] WebSocket connection to ${host} ${reason}. Attempting to reconnect...`, error);
+      lastDisconnectedAt = new Date().toISOString();
+      stopPing();
+      reconnecting = false;
+      reconnectIfNeeded();
+    };
+    provider.on('close', (event) => onDisconnect('closed', event));
+    provider.on('error', (error) => onDisconnect('errored', error));
+
+    healthInterval = setInterval(() => {
+      const isOpen = wsProvider && wsProvider.connected;
+      console.log(`[${label}] WebSocket health check: Connection is ${isOpen ? 'open' : 'closed'}`);
+      if (!isOpen) reconnectIfNeeded();
+    }, 600000);
+
+    return provider;
+  }
+
+  function reconnectIfNeeded() {
+    if (reconnecting || (wsProvider && wsProvider.connected)) {
+      console.log(`[${label}] Reconnection already in progress, skipping duplicate reconnection.`);
+      return;
+    }
+
+    if (retryCount === unhealthyAfterRetries) {
+      console.error(`[${label}] ${retryCount} reconnection attempts failed across ${endpoints.length} endpoint(s); still retrying.`);
+    }
+
+    // A dropped connection is retried on the same endpoint once; further failures move down the list.
+    if (retryCount > 0) endpointIndex = (endpointIndex + 1) % endpoints.length;
+    reconnecting = true;
+    retryCount += 1;
+
+    const delay = reconnectDelay(retryCount);
+    console.log(`[${label}] Reconnection attempt #${retryCount} to ${externalHostLabel(endpoints[endpointIndex])} in ${Math.round(delay / 1000)} seconds...`);
+
+    setTimeout(() => {
+      console.log(`[${label}] Attempting to reconnect (attempt #${retryCount})...`);
+      try {
+        const w3 = typeof getWeb3 === 'function' ? getWeb3() : null;
+        if (!w3) {
+          console.error(`[${label}] getWeb3() returned null, cannot setProvider during reconnect.`);
+          reconnecting = false;
+          return;
+        }
+        w3.setProvider(setupWebSocketProvider());
+      } catch (error) {
+        console.error(`[${label}] Reconnection attempt failed: ${error.message}`);
+        reconnecting = false;
+        reconnectIfNeeded();
+      }
+    }, delay);
+  }
+
+  return setupWebSocketProvider();
+}
+
+function subscribeWithCatchUp(getWeb3, label, contract, eventName, subscriptionKey, onEvent) {
+  const BACKFILL_CHUNK_BLOCKS = 2000;
+  const MAX_BACKFILL_BLOCKS = 50000;
+  const CHECKPOINT_INTERVAL_MS = 600000;
+  const CHECKPOINT_LAG_BLOCKS = 12;
+  const MAX_SEEN_EVENTS = 500;
+
+  let lastBlock = stateStore.get('lastBlocks', subscriptionKey, null);
+  // First block of a replay that has not finished yet. Live events keep moving lastBlock forward, so
+  // the unfinished range is tracked separately and replayed before anything else.
+  let backfillFrom = stateStore.get('backfillFrom', subscriptionKey, null);
+  const seenEvents = new Set(stateStore.get('seenEvents', subscriptionKey, []));
+  let subscription = null;
+  let catchingUp = false;
+
+  function persist() {
+    stateStore.set('lastBlocks', subscriptionKey, lastBlock);
+    stateStore.set('backfillFrom', subscriptionKey, backfillFrom);
+    stateStore.set('seenEvents', subscriptionKey, [...seenEvents]);
+  }
+
+  function advanceLastBlock(blockNumber) {
+    if (blockNumber == null) return;
+    const n = Number(blockNumber);
+    if (lastBlock == null || n > lastBlock) lastBlock = n;
+  }
+
+  function handleEvent(event) {
+    const eventKey = `${event.transactionHash}:${event.logIndex}`;
+    if (seenEvents.has(eventKey)) {
+      console.log(`[${subscriptionKey}] Skipping already seen ${eventName} event ${eventKey}`);
+      return;
+    }
+
+    seenEvents.add(eventKey);
+    if (seenEvents.size > MAX_SEEN_EVENTS) {
+      const oldestSeen = seenEvents.keys().next().value;
+      seenEvents.delete(oldestSeen);
+    }
+    advanceLastBlock(event.blockNumber);
+    persist();
+    recordBotEvent(label);
+
+    onEvent(event);
+  }
+
+  async function backfill(fromBlock) {
+    const w3 = getWeb3();
+    const headBlock = Number(await w3.eth.getBlockNumber());
+
+    if (fromBlock == null) {
+      console.log(`[${subscriptionKey}] No saved block, starting ${eventName} from head block ${headBlock}.`);
+      advanceLastBlock(headBlock);
+      persist();
+      return;
+    }
+
+    let start = Number(fromBlock);
+    if (headBlock - start > MAX_BACKFILL_BLOCKS) {
+      console.error(`[${subscriptionKey}] Gap of ${headBlock - start} blocks exceeds ${MAX_BACKFILL_BLOCKS}, only replaying the most recent blocks.`);
+      start = headBlock - MAX_BACKFILL_BLOCKS;
+    }
+
+    console.log(`[${subscriptionKey}] Replaying ${eventName} events from block ${start} to ${headBlock}...`);
+    backfillFrom = start;
+    persist();
+    for (let chunkStart = start; chunkStart <= headBlock; chunkStart += BACKFILL_CHUNK_BLOCKS) {
+      const chunkEnd = Math.min(chunkStart + BACKFILL_CHUNK_BLOCKS - 1, headBlock);
+      const events = await contract.getPastEvents(eventName, { fromBlock: chunkStart, toBlock: chunkEnd });
+      events
+        .sort((a, b) => (Number(a.blockNumber) - Number(b.blockNumber)) || (Number(a.logIndex) - Number(b.logIndex)))
+        .forEach(handleEvent);
+      backfillFrom = chunkEnd + 1;
+      persist();
+    }
+
+    backfillFrom = null;
+    advanceLastBlock(headBlock);
+    persist();
+    console.log(`[${subscriptionKey}] Caught up to block ${headBlock}.`);
+  }
+
+  async function resubscribe() {
+    if (catchingUp) return;
+    catchingUp = true;
+
+    const fromBlock = backfillFrom ?? lastBlock;
+
+    try {
+      subscription?.unsubscribe();
+    } catch (error) {
+      console.error(`[${subscriptionKey}] Error unsubscribing stale ${eventName} subscription:`, error);
+    }
+
+    subscription = contract.events[eventName]({ fromBlock: 'latest' })
+      .on('data', handleEvent)
+      .on('error', (error) => {
+        console.error(`[${subscriptionKey}] Error in ${eventName} event listener:`, error);
+      });
+
+    try {
+      await backfill(fromBlock);
+    } catch (error) {
+      console.error(`[${subscriptionKey}] Failed to replay missed ${eventName} events:`, error);
+    } finally {
+      catchingUp = false;
+    }
+  }
+
+  // Retries a replay that failed part-way, without touching the live subscription.
+  async function resumeBackfill() {
+    catchingUp = true;
+    try {
+      await backfill(backfillFrom);
+    } catch (error) {
+      console.error(`[${subscriptionKey}] Failed to replay missed ${eventName} events:`, error);
+    } finally {
+      catchingUp = false;
+    }
+  }
+
+  setInterval(async () => {
+    const w3 = getWeb3();
+    if (catchingUp || !w3?.currentProvider?.connected) return;
+    if (backfillFrom != null) {
+      await resumeBackfill();
+      return;
+    }
+    try {
+      const headBlock = Number(await w3.eth.getBlockNumber());
+      advanceLastBlock(headBlock - CHECKPOINT_LAG_BLOCKS);
+      persist();
+    } catch (error) {
+      console.error(`[${subscriptionKey}] Failed to checkpoint block number:`, error);
+    }
+  }, CHECKPOINT_INTERVAL_MS);
+
+  onWeb3Connect(label, resubscribe);
+  if (getWeb3()?.currentProvider?.connected) resubscribe();
+}
 
-    wsProvider.on('connect', () => {
-      console.log(`[${label}] WebSocket connection established.`);
-      retryCount = 0;
-      reconnecting = false;
-      startPing();
-    });
+function createOrderedScheduler({
+  label,
+  concurrency = 4,
+  minStartIntervalMs = 0,
+  delayMs = 0,
+  getKey = () => null,
+  merge = null,
+  compare = () => 0,
+  prepare,
+  commit,
+  onChange = () => {}
+}) {
+  const tasks = [];
+  let running = 0;
+  let lastStartAt = 0;
+  let committing = false;
+  let timer = null;
+
+  function items() {
+    return tasks.map(task => task.item);
+  }
 
-    wsProvider.on('end', (error) => {
-      console.error(`[${label}] WebSocket connection ended. Attempting to reconnect...`, error);
-      stopPing();
-      reconnectIfNeeded();
-    });
+  function stats() {
+    const count = (state) => tasks.filter(task => task.state === state).length;
+    return { waiting: count('waiting'), preparing: count('preparing'), prepared: count('prepared') };
+  }
 
-    wsProvider.on('error', (error) => {
-      console.error(`[${label}] WebSocket connection error:`, error);
-      stopPing();
-      reconnectIfNeeded();
-    });
+  // An item for a key that is already queued merges into that task up until it is committed. Work
+  // prepared from the smaller item is thrown away and the merged item is prepared again.
+  function add(item) {
+    const key = getKey(item);
+    const existing = key != null && merge
+      ? tasks.find(task => task.state !== 'committing' && getKey(task.item) === key)
+      : null;
+
+    if (existing) {
+      merge(existing.item, item);
+      if (existing.state === 'preparing') {
+        existing.stale = true;
+      } else if (existing.state === 'prepared') {
+        existing.state = 'waiting';
+        existing.result = null;
+      }
+    } else {
+      tasks.push({ item, state: 'waiting', result: null, stale: false });
+      tasks.sort((a, b) => compare(a.item, b.item));
+    }
 
-    healthInterval = setInterval(() => {
-      const isOpen = wsProvider && wsProvider.connected;
-      console.log(`[${label}] WebSocket health check: Connection is ${isOpen ? 'open' : 'closed'}`);
-      if (!isOpen) reconnectIfNeeded();
-    }, 600000);
+    onChange();
+    pump();
+  }
 
-    return wsProvider;
+  function start(task) {
+    task.state = 'preparing';
+    running += 1;
+    lastStartAt = Date.now();
+
+    Promise.resolve()
+      .then(() => prepare(task.item))
+      .then((result) => {
+        task.result = result;
+      })
+      .catch((error) => {
+        console.error(`[${label}] Error preparing scheduled task:`, error);
+        task.result = null;
+      })
+      .finally(() => {
+        task.state = task.stale ? 'waiting' : 'prepared';
+        task.stale = false;
+        running -= 1;
+        drain();
+        pump();
+      });
   }
 
-  function reconnectIfNeeded() {
-    if (reconnecting || (wsProvider && wsProvider.connected)) {
-      console.log(`[${label}] Reconnection already in progress, skipping duplicate reconnection.`);
-      return;
+  function pump() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
     }
 
-    if (retryCount >= maxRetries) {
-      console.error(`[${label}] Max reconnection attempts reached. Please check your connection or API provider.`);
-      return;
+    const now = Date.now();
+    let nextWakeAt = Infinity;
+    for (const task of tasks) {
+      if (running >= concurrency) break;
+      if (task.state !== 'waiting') continue;
+
+      const readyAt = Math.max(Number(task.item.receivedAt || 0) + delayMs, lastStartAt + minStartIntervalMs);
+      if (readyAt > Date.now()) {
+        nextWakeAt = Math.min(nextWakeAt, readyAt);
+        continue;
+      }
+      start(task);
     }
 
-    reconnecting = true;
-    retryCount += 1;
+    if (nextWakeAt !== Infinity) timer = setTimeout(pump, Math.max(0, nextWakeAt - now));
+  }
 
-    const delay = reconnectDelay(retryCount);
-    console.log(`[${label}] Reconnection attempt #${retryCount} in ${Math.round(delay / 1000)} seconds...`);
+  // Results are committed strictly in queue order, so a slow task holds back the ones behind it.
+  async function drain() {
+    if (committing) return;
+    committing = true;
 
-    setTimeout(() => {
-      console.log(`[${label}] Attempting to reconnect (attempt #${retryCount})...`);
+    while (tasks.length > 0 && tasks[0].state === 'prepared') {
+      const task = tasks[0];
+      task.state = 'committing';
       try {
-        const w3 = typeof getWeb3 === 'function' ? getWeb3() : null;
-        if (!w3) {
-          console.error(`[${label}] getWeb3() returned null, cannot setProvider during reconnect.`);
-          reconnecting = false;
-          return;
-        }
-        w3.setProvider(setupWebSocketProvider());
+        await commit(task.item, task.result);
       } catch (error) {
-        console.error(`[${label}] Reconnection attempt failed: ${error.message}`);
-        reconnecting = false;
+        console.error(`[${label}] Error committing scheduled task:`, error);
       }
-    }, delay);
+      tasks.splice(tasks.indexOf(task), 1);
+      onChange();
+    }
+
+    committing = false;
   }
 
-  return setupWebSocketProvider();
+  return { add, items, stats, size: () => tasks.length };
 }
 
 let web3;
 web3 = new Web3(
   createWeb3Provider(
-    process.env.SALES_ALCHEMY_PROJECT_ID,
+    rpcEndpointsFor('SALES').ws,
     () => web3,
     'sales'
   )
 );
 
 function runSalesBot() {
-  let cachedConversionRate = null;
-  let lastFetchedTime = 0;
-
-  const ALCHEMY_PROJECT_ID = process.env.SALES_ALCHEMY_PROJECT_ID;
   const OPENSEA_API_KEY = process.env.SALES_OPENSEA_API_KEY;
-  const COINMARKETCAP_API_KEY = process.env.SALES_COINMARKETCAP_API_KEY;
+  const openSeaEvents = createOpenSeaEventsClient(OPENSEA_API_KEY);
 
-  const VAULT_ADDRESSES = [
-    '0x67bdcd02705cecf08cb296394db7d6ed00a496f9',
-    '0xa8b42c82a628dc43c2c2285205313e5106ea2853',
-    '0x98968f0747e0a261532cacc0be296375f5c08398',
-    '0xd4fe01ce79c84c68f9307d415b8f392d140c242c'
-  ];
-
-  const ethersProvider = new ethers.AlchemyProvider('homestead', ALCHEMY_PROJECT_ID);
+  const ethersProvider = createReadProvider(rpcEndpointsFor('SALES').http, 'sales');
+  const saleDecoder = createSaleDecoder(ethersProvider, paymentTokens);
 
   const MOONCATS_CONTRACT_ADDRESS = '0xc3f733ca98e0dad0386979eb96fb1722a1a05e69';
   const OLD_WRAPPER_CONTRACT_ADDRESS = '0x7c40c393dc0f283f318791d746d894ddd3693572';
@@ -238,10 +2007,24 @@ function runSalesBot() {
     ethersProvider
   );
 
-  const salesQueue = [];
-  const transferQueue = [];
+  const ownershipReadContracts = {
+    rescue: new ethers.Contract(MOONCAT_RESCUE_CONTRACT_ADDRESS, ['function catOwners(bytes5) view returns (address)'], ethersProvider),
+    acclimated: new ethers.Contract(MOONCATS_CONTRACT_ADDRESS, ['function ownerOf(uint256) view returns (address)'], ethersProvider),
+    oldWrapper: new ethers.Contract(OLD_WRAPPER_CONTRACT_ADDRESS, [
+      'function ownerOf(uint256) view returns (address)',
+      'function _catIDToTokenID(bytes5) view returns (uint256)'
+    ], ethersProvider)
+  };
+
+  const TRANSFER_EVENT_ABI = ['event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'];
+  const transferReadContracts = {
+    acclimated: new ethers.Contract(MOONCATS_CONTRACT_ADDRESS, TRANSFER_EVENT_ABI, ethersProvider),
+    oldWrapper: new ethers.Contract(OLD_WRAPPER_CONTRACT_ADDRESS, TRANSFER_EVENT_ABI, ethersProvider)
+  };
+
   const TRANSFER_PROCESS_DELAY_MS = 45000;
-  const DISCORD_MESSAGE_DELAY_MS = 1000;
+  const SCHEDULER_CONCURRENCY = Number(process.env.SALES_SCHEDULER_CONCURRENCY || 4);
+  const SCHEDULER_MIN_START_INTERVAL_MS = Number(process.env.SALES_SCHEDULER_MIN_START_INTERVAL_MS || 500);
 
   async function getRealTokenIdFromWrapper(tokenId, retries = 3) {
     console.log(`Using Alchemy provider to fetch real token ID for token: ${tokenId} with retries: ${retries}`);
@@ -289,7 +2072,7 @@ function runSalesBot() {
       const imageUrl = `https://api.mooncat.community/regular-image/${rescueIndex}`;
 
       console.log(`Fetched details for tokenId: ${tokenId} - Name: ${name}, RescueIndex: ${rescueIndex}, IsNamed: ${isNamed}`);
-      return { imageUrl, name, rescueIndex, realTokenIdHex, isNamed };
+      return { imageUrl, name, rescueIndex, realTokenIdHex, isNamed, details: data.details };
     } catch (error) {
       console.error('Error fetching details from MoonCat API:', error);
       return {
@@ -297,46 +2080,21 @@ function runSalesBot() {
         name: null,
         rescueIndex: null,
         realTokenIdHex: null,
-        isNamed: false
+        isNamed: false,
+        details: null
       };
     }
   }
 
-  async function getEthToUsdConversionRate() {
-    const currentTime = Date.now();
-    const oneHour = 3600000;
-
-    if (cachedConversionRate && (currentTime - lastFetchedTime) < oneHour) {
-      console.log(`Using cached ETH to USD conversion rate: ${cachedConversionRate}`);
-      return cachedConversionRate;
-    }
-
-    const url = 'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest';
-    const params = new URLSearchParams({ 'symbol': 'ETH', 'convert': 'USD' });
-
-    console.log(`Fetching ETH to USD conversion rate...`);
-    try {
-      const response = await fetch(`${url}?${params}`, {
-        method: 'GET',
-        headers: { 'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY, 'Accept': 'application/json' }
-      });
-      if (!response.ok) throw new Error(`API responded with status ${response.status}`);
-
-      const data = await response.json();
-      cachedConversionRate = data.data.ETH.quote.USD.price;
-      lastFetchedTime = currentTime;
-      console.log(`Fetched ETH to USD conversion rate: ${cachedConversionRate}`);
-      return cachedConversionRate;
-    } catch (error) {
-      console.error('Error fetching ETH to USD conversion rate:', error);
-      return null;
-    }
+  async function getEthToUsdConversionRate(at = {}) {
+    return priceService.ethUsdRate({ ...at, provider: ethersProvider });
   }
 
   async function getMoonCatNameOrId(tokenId) {
     console.log(`Fetching MoonCat name or ID for tokenId: ${tokenId}`);
     const tokenIdStr = tokenId.toString();
-    const tokenIdHex = tokenIdStr.startsWith('0x') ? tokenIdStr.slice(2) : tokenIdStr;
+    const isCatId = /^0x[0-9a-fA-F]{10}$/.test(tokenIdStr);
+    const tokenIdHex = !isCatId && tokenIdStr.startsWith('0x') ? tokenIdStr.slice(2) : tokenIdStr;
 
     try {
       const response = await fetch(`https://api.mooncat.community/traits/${tokenIdHex}`);
@@ -383,7 +2141,81 @@ function runSalesBot() {
     return ensName || address;
   }
 
-  async function sendToDiscord(tokenId, messageText, imageUrl, transactionUrl, marketplaceName, marketplaceUrl) {
+  async function getMoonCatOwnership(catId, rescueIndex) {
+    const rescueOwner = (await ownershipReadContracts.rescue.catOwners(catId)).toLowerCase();
+    if (rescueOwner === MOONCATS_CONTRACT_ADDRESS) {
+      const owner = await ownershipReadContracts.acclimated.ownerOf(rescueIndex);
+      return { owner, wrapping: 'Acclimated', wrappedId: null };
+    }
+    if (rescueOwner === OLD_WRAPPER_CONTRACT_ADDRESS) {
+      const wrappedId = (await ownershipReadContracts.oldWrapper._catIDToTokenID(catId)).toString();
+      const owner = await ownershipReadContracts.oldWrapper.ownerOf(wrappedId);
+      return { owner, wrapping: `Old wrapper #${wrappedId}`, wrappedId };
+    }
+    return { owner: rescueOwner, wrapping: 'Unwrapped', wrappedId: null };
+  }
+
+  async function lookupMoonCat({ id, wrapped }) {
+    const input = String(id || '').trim().toLowerCase();
+    let lookupId;
+    if (wrapped) {
+      if (!/^\d+$/.test(input)) return { content: 'Wrapped IDs are numbers, e.g. `/mooncat id:1234 wrapped:true`.' };
+      lookupId = await getRealTokenIdFromWrapper(input).catch(() => null);
+      if (!lookupId) return { content: `No old-wrapper token #${input} was found.` };
+    } else if (/^0x[0-9a-f]{10}$/.test(input) || /^\d+$/.test(input)) {
+      lookupId = input;
+    } else {
+      return { content: 'Use a rescue index (e.g. `42`), a cat ID (e.g. `0x00d658d50b`) or a wrapped ID with `wrapped:true`.' };
+    }
+
+    const moonCatData = await getMoonCatNameOrId(lookupId);
+    const details = moonCatData?.details;
+    if (!details || details.rescueIndex == null) return { content: `No MoonCat found for \`${input}\`.` };
+
+    const { rescueIndex, catId } = details;
+    const displayName = details.name && !isBlockedFullName(details.name) ? details.name : catId;
+    const [imageUrl, classification, ownership] = await Promise.all([
+      getMoonCatImageURL(rescueIndex),
+      classifyMoonCat(rescueIndex),
+      getMoonCatOwnership(catId, rescueIndex).catch((error) => {
+        console.error(`Error fetching owner for MoonCat #${rescueIndex}:`, error);
+        return null;
+      })
+    ]);
+
+    const fields = [{ name: 'Cat ID', value: catId, inline: true }];
+    if (ownership) {
+      const ensNameOrAddress = await resolveEnsName(ownership.owner);
+      const displayOwner = ensNameOrAddress !== ownership.owner ? ensNameOrAddress : ownership.owner.substring(0, 6);
+      fields.push({ name: 'Owner', value: `[${displayOwner}](https://chainstation.mooncatrescue.com/owners/${ownership.owner})`, inline: true });
+      fields.push({ name: 'Wrapping', value: ownership.wrapping, inline: true });
+    }
+    for (const trait of ['pose', 'expression', 'pattern', 'facing', 'hue']) {
+      if (details[trait] != null) fields.push({ name: trait[0].toUpperCase() + trait.slice(1), value: String(details[trait]), inline: true });
+    }
+
+    return {
+      embeds: [{
+        title: `MoonCat #${rescueIndex}: ${displayName}`,
+        url: `https://chainstation.mooncatrescue.com/mooncats/${rescueIndex}`,
+        description: `[ ${classification} ]`,
+        fields,
+        color: 3447003,
+        image: imageUrl ? { url: imageUrl } : undefined
+      }]
+    };
+  }
+
+  registerInteractionCommand({
+    name: 'mooncat',
+    description: 'Look up a MoonCat by rescue index, cat ID or wrapped ID',
+    options: [
+      { type: 3, name: 'id', description: 'Rescue index, cat ID (0x...) or old-wrapper token ID', required: true },
+      { type: 5, name: 'wrapped', description: 'Treat the ID as an old-wrapper token ID', required: false }
+    ]
+  }, lookupMoonCat);
+
+  async function sendToDiscord(tokenId, messageText, imageUrl, transactionUrl, marketplace, marketplaceUrl, provenanceFields, route) {
     console.log(`Preparing to send Discord notification for tokenId: ${tokenId}`);
     if (!messageText) {
       console.error('Error: Message text is empty.');
@@ -391,8 +2223,6 @@ function runSalesBot() {
     }
 
     try {
-      const openSeaEmoji = '<:logo_opensea:1202575710791933982>';
-      const blurEmoji = '<:logo_blur:1202577510458728458>';
       const etherScanEmoji = '<:logo_etherscan:1202580047765180498>';
 
       const payload = {
@@ -403,41 +2233,23 @@ function runSalesBot() {
           url: `https://chainstation.mooncatrescue.com/mooncats/${tokenId}`,
           description: messageText,
           fields: [
-            { name: 'Marketplace', value: `${marketplaceName === "OpenSea" ? openSeaEmoji : blurEmoji} [${marketplaceName}](${marketplaceUrl})`, inline: true },
-            { name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](${transactionUrl})`, inline: true }
+            { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${marketplaceUrl})`, inline: true },
+            { name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](${transactionUrl})`, inline: true },
+            ...(provenanceFields || [])
           ],
           color: 3447003,
           image: { url: imageUrl }
         }]
       };
 
-      const webhooks = [
-        process.env.SALES_DISCORD_WEBHOOK_URL,
-        process.env.SALES_DISCORD_WEBHOOK_URL2
-      ].filter(Boolean);
-
-      for (const webhookUrl of webhooks) {
-        const response = await fetch(webhookUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-
-        const responseText = await response.text();
-        console.log(`Discord response status: ${response.status}`);
-        console.log(`Discord response text: ${responseText}`);
-
-        if (!response.ok) throw new Error(`Error sending to Discord: ${response.statusText}`);
-
-        console.log(`Successfully sent MoonCat #${tokenId} announcement to Discord.`);
-        await new Promise(resolve => setTimeout(resolve, DISCORD_MESSAGE_DELAY_MS));
-      }
+      const webhooks = await webhookRouter.route(route);
+      return await discordDelivery.deliver(webhooks, payload, `sale MoonCat #${tokenId}`);
     } catch (error) {
       console.error('Error preparing to send Discord notification:', error);
     }
   }
 
-  async function sendOldWrapperSaleToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, transactionUrl, marketplaceName, marketplaceUrl) {
+  async function sendOldWrapperSaleToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, transactionUrl, marketplace, marketplaceUrl, provenanceFields, route) {
     console.log(`Constructing Chainstation link for rescueIndex: ${rescueIndex}`);
     if (!messageText) {
       console.error('Error: Message text is empty.');
@@ -445,9 +2257,7 @@ function runSalesBot() {
     }
 
     try {
-      const openSeaEmoji = '<:logo_opensea:1202575710791933982>';
       const etherScanEmoji = '<:logo_etherscan:1202580047765180498>';
-      const blurEmoji = '<:logo_blur:1202577510458728458>';
 
       const payload = {
         username: 'mooncatbot (w)',
@@ -457,47 +2267,32 @@ function runSalesBot() {
           url: `https://chainstation.mooncatrescue.com/mooncats/${rescueIndex}`,
           description: messageText,
           fields: [
-            { name: 'Marketplace', value: `${marketplaceName === "OpenSea" ? openSeaEmoji : blurEmoji} [${marketplaceName}](${marketplaceUrl})`, inline: true },
-            { name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](${transactionUrl})`, inline: true }
+            { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${marketplaceUrl})`, inline: true },
+            { name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](${transactionUrl})`, inline: true },
+            ...(provenanceFields || [])
           ],
           color: 3447003,
           image: { url: imageUrl }
         }]
       };
 
-      const webhooks = [
-        process.env.SALES_DISCORD_WEBHOOK_URL,
-        process.env.SALES_DISCORD_WEBHOOK_URL2
-      ].filter(Boolean);
-
-      for (const webhookUrl of webhooks) {
-        const response = await fetch(webhookUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-
-        const responseText = await response.text();
-        console.log(`Discord response status for ${webhookUrl}: ${response.status}`);
-        console.log(`Discord response text: ${responseText}`);
-
-        if (!response.ok) throw new Error(`Error sending to Discord: ${response.statusText}`);
-
-        console.log(`Successfully sent Old Wrapper MoonCat #${tokenId} sale announcement to Discord webhook: ${webhookUrl}`);
-        await new Promise(resolve => setTimeout(resolve, DISCORD_MESSAGE_DELAY_MS));
-      }
+      const webhooks = await webhookRouter.route(route);
+      return await discordDelivery.deliver(webhooks, payload, `old wrapper sale #${tokenId}`);
     } catch (error) {
       console.error('Error preparing to send Discord notification (Old Wrapper):', error);
     }
   }
 
-  async function announceMoonCatSale(tokenId, ethPrice, transactionUrl, paymentToken, protocolAddress, buyerAddress, sellerAddress) {
+  async function announceMoonCatSale(tokenId, ethPrice, transactionUrl, paymentToken, protocolAddress, buyerAddress, sellerAddress, venue, provenanceFields, pricedAt, marketplaceFallback) {
     console.log(`Announcing MoonCat sale for tokenId: ${tokenId}`);
-    const ethToUsdRate = await getEthToUsdConversionRate();
-    if (!ethToUsdRate) return;
+    const ethToUsdRate = await getEthToUsdConversionRate(pricedAt);
 
     const formattedEthPrice = formatEthPrice(ethPrice);
-    const usdPrice = (ethPrice * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+    const usdValue = await paymentTokens.usdValue(paymentToken, Number(ethPrice), ethToUsdRate);
+    const usdText = usdValue != null
+      ? ` ($${usdValue.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })})`
+      : '';
+    const routePrice = await paymentTokens.ethValue(paymentToken, Number(ethPrice), ethToUsdRate);
 
     const moonCatData = await getMoonCatNameOrId(tokenId);
     if (!moonCatData) return;
@@ -505,6 +2300,7 @@ function runSalesBot() {
     const moonCatNameOrId = moonCatData.details.name ? moonCatData.details.name : moonCatData.details.catId;
     if (isBlockedFullName(moonCatNameOrId)) {
       console.log(`Blacklisted name detected ("${moonCatNameOrId}"); skipping sale announcement.`);
+      recordAnnouncement('sales', 'sale', 'blacklisted');
       return;
     }
 
@@ -512,12 +2308,8 @@ function runSalesBot() {
     if (!imageUrl) return;
 
     const currency = paymentToken.symbol;
-    let marketplaceName = "OpenSea";
-    let marketplaceUrl = `https://opensea.io/assets/ethereum/${MOONCATS_CONTRACT_ADDRESS}/${tokenId}`;
-    if (!protocolAddress || protocolAddress.trim() === '') {
-      marketplaceName = "Blur";
-      marketplaceUrl = `https://blur.io/asset/${MOONCATS_CONTRACT_ADDRESS}/${tokenId}`;
-    }
+    const marketplace = resolveMarketplace({ protocolAddress, venue, counterparties: [sellerAddress, buyerAddress], fallback: marketplaceFallback });
+    const marketplaceUrl = marketplace.assetUrl(MOONCATS_CONTRACT_ADDRESS, tokenId);
 
     const ensNameOrAddress = await resolveEnsName(buyerAddress);
     const shortBuyerAddress = buyerAddress.substring(0, 6);
@@ -531,27 +2323,39 @@ function runSalesBot() {
 
     let messageText;
     if (sellerIsVault) {
-      messageText = `MoonCat #${tokenId}: ${moonCatNameOrId} redeemed from the vault for ${formattedEthPrice} ${currency} ($${usdPrice})\n\n[ ${classification} ]`;
+      messageText = `MoonCat #${tokenId}: ${moonCatNameOrId} redeemed from the vault for ${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`;
     } else if (buyerIsVault) {
-      messageText = `MoonCat #${tokenId}: ${moonCatNameOrId} deposited into the vault for ${formattedEthPrice} ${currency} ($${usdPrice})\n\n[ ${classification} ]`;
+      messageText = `MoonCat #${tokenId}: ${moonCatNameOrId} deposited into the vault for ${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`;
     } else {
-      messageText = `MoonCat #${tokenId}: ${moonCatNameOrId} found a new home with [${displayBuyerAddress}](https://chainstation.mooncatrescue.com/owners/${buyerAddress}) for ${formattedEthPrice} ${currency} ($${usdPrice})\n\n[ ${classification} ]`;
+      messageText = `MoonCat #${tokenId}: ${moonCatNameOrId} found a new home with [${displayBuyerAddress}](https://chainstation.mooncatrescue.com/owners/${buyerAddress}) for ${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`;
     }
 
-    await sendToDiscord(tokenId, messageText, imageUrl, transactionUrl, marketplaceName, marketplaceUrl);
+    const results = await sendToDiscord(tokenId, messageText, imageUrl, transactionUrl, marketplace, marketplaceUrl, provenanceFields, {
+      kind: 'sale',
+      contract: 'acclimated',
+      price: routePrice ?? 0,
+      classification,
+      vault: sellerIsVault || buyerIsVault,
+      traits: moonCatData.details
+    });
+    recordAnnouncement('sales', 'sale', deliveryOutcome(results));
   }
 
-  async function announceOldWrapperSale(tokenId, ethPrice, transactionUrl, paymentToken, protocolAddress, buyerAddress) {
+  async function announceOldWrapperSale(tokenId, ethPrice, transactionUrl, paymentToken, protocolAddress, buyerAddress, sellerAddress, venue, provenanceFields, pricedAt, marketplaceFallback) {
     console.log(`Announcing Old Wrapper sale for tokenId: ${tokenId}`);
-    const ethToUsdRate = await getEthToUsdConversionRate();
-    if (!ethToUsdRate) return;
+    const ethToUsdRate = await getEthToUsdConversionRate(pricedAt);
 
     const formattedEthPrice = formatEthPrice(ethPrice);
-    const usdPrice = (ethPrice * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+    const usdValue = await paymentTokens.usdValue(paymentToken, Number(ethPrice), ethToUsdRate);
+    const usdText = usdValue != null
+      ? ` ($${usdValue.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })})`
+      : '';
+    const routePrice = await paymentTokens.ethValue(paymentToken, Number(ethPrice), ethToUsdRate);
 
-    const { imageUrl, name, rescueIndex, realTokenIdHex, isNamed } = await getOldWrapperImageAndDetails(tokenId);
+    const { imageUrl, name, rescueIndex, realTokenIdHex, isNamed, details } = await getOldWrapperImageAndDetails(tokenId);
     if (isNamed && isBlockedFullName(name)) {
       console.log(`Blacklisted name detected ("${name}"); skipping old-wrapper sale announcement.`);
+      recordAnnouncement('sales', 'sale', 'blacklisted');
       return;
     }
 
@@ -560,12 +2364,8 @@ function runSalesBot() {
     const displayCatId = isNamed ? name : realTokenIdHex;
 
     const currency = paymentToken.symbol;
-    let marketplaceName = "OpenSea";
-    let marketplaceUrl = `https://opensea.io/assets/ethereum/${OLD_WRAPPER_CONTRACT_ADDRESS}/${tokenId}`;
-    if (!protocolAddress || protocolAddress.trim() === '') {
-      marketplaceName = "Blur";
-      marketplaceUrl = `https://blur.io/asset/${OLD_WRAPPER_CONTRACT_ADDRESS}/${tokenId}`;
-    }
+    const marketplace = resolveMarketplace({ protocolAddress, venue, counterparties: [sellerAddress, buyerAddress], fallback: marketplaceFallback });
+    const marketplaceUrl = marketplace.assetUrl(OLD_WRAPPER_CONTRACT_ADDRESS, tokenId);
 
     const ensNameOrAddress = await resolveEnsName(buyerAddress);
     const shortBuyerAddress = buyerAddress.substring(0, 6);
@@ -576,42 +2376,165 @@ function runSalesBot() {
     const messageText =
       `MoonCat #${rescueIndex}: ${displayCatId} wrapped as #${tokenId} found a new home with ` +
       `[${displayBuyerAddress}](https://chainstation.mooncatrescue.com/owners/${buyerAddress}) for ` +
-      `${formattedEthPrice} ${currency} ($${usdPrice})\n\n[ ${classification} ]`;
+      `${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`;
+
+    const results = await sendOldWrapperSaleToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, transactionUrl, marketplace, marketplaceUrl, provenanceFields, {
+      kind: 'sale',
+      contract: 'oldWrapper',
+      price: routePrice ?? 0,
+      classification,
+      vault: [sellerAddress, buyerAddress].some(address => VAULT_ADDRESSES.includes(String(address).toLowerCase())),
+      traits: details
+    });
+    recordAnnouncement('sales', 'sale', deliveryOutcome(results));
+  }
+
+  async function describeSweepItem(saleData) {
+    const contractAddress = saleData.contractAddress.toLowerCase();
+    const price = `${formatEthPrice(saleData.ethPrice)} ${saleData.payment.symbol}`;
+
+    if (contractAddress === OLD_WRAPPER_CONTRACT_ADDRESS.toLowerCase()) {
+      const { name, rescueIndex, realTokenIdHex, isNamed } = await getOldWrapperImageAndDetails(saleData.tokenId);
+      const displayCatId = isNamed && !isBlockedFullName(name) ? name : realTokenIdHex;
+      const label = rescueIndex != null ? `MoonCat #${rescueIndex}: ${displayCatId} (wrapped #${saleData.tokenId})` : `Wrapped MoonCat #${saleData.tokenId}`;
+      return {
+        line: `${label} — ${price}`,
+        imageUrl: rescueIndex != null ? `https://api.mooncat.community/regular-image/${rescueIndex}` : null,
+        classification: rescueIndex != null ? await classifyMoonCat(rescueIndex) : null
+      };
+    }
 
-    await sendOldWrapperSaleToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, transactionUrl, marketplaceName, marketplaceUrl);
+    const moonCatData = await getMoonCatNameOrId(saleData.tokenId);
+    const name = moonCatData?.details?.name;
+    const displayCatId = name && !isBlockedFullName(name) ? name : moonCatData?.details?.catId;
+    return {
+      line: `MoonCat #${saleData.tokenId}: ${displayCatId} — ${price}`,
+      imageUrl: `https://api.mooncat.community/regular-image/${saleData.tokenId}`,
+      classification: await classifyMoonCat(Number(saleData.tokenId))
+    };
   }
 
-  async function fetchSaleDataFromOpenSea(tokenId, sellerAddress, contractAddress) {
-    console.log(`Fetching sale data from OpenSea for tokenId: ${tokenId} contract: ${contractAddress}`);
+  async function announceSweep(sales) {
+    const buyerAddress = sales[0].toAddress;
+    console.log(`Announcing sweep of ${sales.length} MoonCats by ${buyerAddress}`);
+    const MAX_SWEEP_LINES = 20;
+
+    const totalsBySymbol = {};
+    for (const sale of sales) {
+      totalsBySymbol[sale.payment.symbol] = (totalsBySymbol[sale.payment.symbol] || 0) + Number(sale.ethPrice);
+    }
+    const totalText = Object.entries(totalsBySymbol)
+      .map(([symbol, total]) => `${formatEthPrice(total)} ${symbol}`)
+      .join(' + ');
+
+    const ethToUsdRate = await getEthToUsdConversionRate(sales[0].pricedAt);
+    let usdTotal = 0;
+    let ethTotal = 0;
+    for (const sale of sales) {
+      const usdValue = await paymentTokens.usdValue(sale.payment, Number(sale.ethPrice), ethToUsdRate);
+      const ethValue = await paymentTokens.ethValue(sale.payment, Number(sale.ethPrice), ethToUsdRate);
+      usdTotal = usdTotal == null || usdValue == null ? null : usdTotal + usdValue;
+      ethTotal = ethTotal == null || ethValue == null ? null : ethTotal + ethValue;
+    }
+    const usdText = usdTotal != null
+      ? ` ($${usdTotal.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })})`
+      : '';
+
+    const items = [];
+    for (const sale of sales) items.push(await describeSweepItem(sale));
+
+    const lines = items.slice(0, MAX_SWEEP_LINES).map(item => `• ${item.line}`);
+    if (items.length > MAX_SWEEP_LINES) lines.push(`…and ${items.length - MAX_SWEEP_LINES} more`);
+
+    const ensNameOrAddress = await resolveEnsName(buyerAddress);
+    const displayBuyerAddress = ensNameOrAddress !== buyerAddress ? ensNameOrAddress : buyerAddress.substring(0, 6);
+
+    const messageText =
+      `[${displayBuyerAddress}](https://chainstation.mooncatrescue.com/owners/${buyerAddress}) adopted ${sales.length} MoonCats ` +
+      `for ${totalText}${usdText}\n\n${lines.join('\n')}`;
+
+    const marketplaces = [...new Set(sales.map(sale =>
+      resolveMarketplace({ protocolAddress: sale.protocolAddress, venue: sale.venue, counterparties: [sale.fromAddress, sale.toAddress], fallback: sale.marketplaceFallback })
+    ))];
+    const firstContract = sales[0].contractAddress.toLowerCase();
+    const marketplace = marketplaces.length === 1 ? marketplaces[0] : null;
+    const marketplaceUrl = marketplace ? marketplace.assetUrl(firstContract, sales[0].tokenId) : null;
+
+    const contracts = [...new Set(sales.map(sale =>
+      sale.contractAddress.toLowerCase() === OLD_WRAPPER_CONTRACT_ADDRESS ? 'oldWrapper' : 'acclimated'
+    ))];
+
+    const imageUrl = items.find(item => item.imageUrl)?.imageUrl;
+    const results = await sendSweepToDiscord(messageText, imageUrl, sales[0].transactionUrl, marketplace, marketplaceUrl, buyerAddress, {
+      kind: 'sweep',
+      contract: contracts.length === 1 ? contracts[0] : 'mixed',
+      price: ethTotal,
+      classification: [...new Set(items.map(item => item.classification).filter(Boolean))].join(', '),
+      vault: sales.some(sale => [sale.fromAddress, sale.toAddress].some(address => VAULT_ADDRESSES.includes(String(address).toLowerCase()))),
+      traits: null
+    });
+    recordAnnouncement('sales', 'sweep', deliveryOutcome(results));
+  }
+
+  async function sendSweepToDiscord(messageText, imageUrl, transactionUrl, marketplace, marketplaceUrl, buyerAddress, route) {
+    console.log(`Preparing to send sweep notification for buyer: ${buyerAddress}`);
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 10000));
+      const etherScanEmoji = '<:logo_etherscan:1202580047765180498>';
+
+      const fields = [];
+      if (marketplace) {
+        fields.push({ name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${marketplaceUrl})`, inline: true });
+      }
+      fields.push({ name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](${transactionUrl})`, inline: true });
 
-      const headers = {
-        'X-API-KEY': OPENSEA_API_KEY,
-        'Accept': 'application/json'
+      const payload = {
+        username: 'mooncatbot',
+        avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
+        embeds: [{
+          title: 'Sweep',
+          url: `https://chainstation.mooncatrescue.com/owners/${buyerAddress}`,
+          description: messageText,
+          fields,
+          color: 3447003,
+          thumbnail: imageUrl ? { url: imageUrl } : undefined
+        }]
       };
 
+      const webhooks = await webhookRouter.route(route);
+      return await discordDelivery.deliver(webhooks, payload, `sweep by ${buyerAddress}`);
+    } catch (error) {
+      console.error('Error preparing to send sweep notification:', error);
+    }
+  }
+
+  async function fetchSaleDataFromOpenSea(tokenId, sellerAddress, contractAddress, transactionHash = null) {
+    console.log(`Fetching sale data from OpenSea for tokenId: ${tokenId} contract: ${contractAddress}`);
+
+    try {
       const isOldWrapper = contractAddress.toLowerCase() === OLD_WRAPPER_CONTRACT_ADDRESS.toLowerCase();
       const collectionSlug = isOldWrapper ? 'wrapped-mooncatsrescue' : 'acclimatedmooncats';
 
-      const openseaAPIUrl =
-        `https://api.opensea.io/api/v2/events/collection/${collectionSlug}?event_type=sale&limit=50`;
-
-      const response = await fetch(openseaAPIUrl, { headers });
-      const data = await response.json();
+      const isMatchingSale = (event) =>
+        event.nft &&
+        event.nft.identifier?.toString() === tokenId.toString() &&
+        event.seller && event.seller.toLowerCase() === sellerAddress.toLowerCase() &&
+        event.buyer &&
+        (!transactionHash || String(event.transaction || '').toLowerCase() === transactionHash.toLowerCase());
+
+      const { events } = await openSeaEvents.fetchEvents(`events/collection/${collectionSlug}`, {
+        eventTypes: ['sale'],
+        until: isMatchingSale,
+        maxPages: 5,
+        label: `${collectionSlug} sale`
+      });
 
-      if (!data || !data.asset_events || data.asset_events.length === 0) {
+      if (events.length === 0) {
         console.log(`No sale events found on OpenSea for tokenId: ${tokenId} (${collectionSlug})`);
         return null;
       }
 
-      const saleEvent = data.asset_events.find(event =>
-        event.nft &&
-        event.nft.identifier?.toString() === tokenId.toString() &&
-        event.seller && event.seller.toLowerCase() === sellerAddress.toLowerCase() &&
-        event.buyer
-      );
+      const saleEvent = events.find(isMatchingSale);
 
       if (!saleEvent) {
         console.log(`No matching sale event found for tokenId: ${tokenId} (${collectionSlug})`);
@@ -623,8 +2546,8 @@ function runSalesBot() {
         return null;
       }
 
-      const paymentToken = saleEvent.payment;
-      const ethPrice = paymentToken.quantity / (10 ** paymentToken.decimals);
+      const paymentToken = paymentTokens.fromOpenSea(saleEvent.payment);
+      const ethPrice = Number(paymentToken.quantity) / (10 ** paymentToken.decimals);
       const transactionUrl = `https://etherscan.io/tx/${saleEvent.transaction}`;
 
       console.log(`Fetched sale data for tokenId: ${tokenId}`);
@@ -636,6 +2559,8 @@ function runSalesBot() {
         fromAddress: saleEvent.seller,
         toAddress: saleEvent.buyer,
         protocolAddress: saleEvent.protocol_address,
+        // OpenSea recorded the sale, so an unrecognised protocol address still means a marketplace sale.
+        marketplaceFallback: 'opensea',
         saleSellerAddress: sellerAddress,
         contractAddress
       };
@@ -645,91 +2570,356 @@ function runSalesBot() {
     }
   }
 
-  let isProcessingSales = false;
-  async function processSalesQueue() {
-    if (isProcessingSales) return;
-    isProcessingSales = true;
+  async function resolveSaleData(sale) {
+    const contractAddress = sale.contractAddress.toLowerCase();
+    const saleData = await saleDecoder.decodeSale(sale.transactionHash, contractAddress, sale.tokenId);
+    if (saleData) return saleData;
+
+    console.log(`Could not decode sale on-chain for tokenId: ${sale.tokenId}, falling back to OpenSea.`);
+    return fetchSaleDataFromOpenSea(sale.tokenId, sale.sellerAddress, contractAddress, sale.transactionHash);
+  }
+
+  async function announceSingleSale(saleData) {
+    const contractAddress = saleData.contractAddress.toLowerCase();
+    if (contractAddress === OLD_WRAPPER_CONTRACT_ADDRESS.toLowerCase()) {
+      await announceOldWrapperSale(
+        saleData.tokenId,
+        saleData.ethPrice,
+        saleData.transactionUrl,
+        saleData.payment,
+        saleData.protocolAddress,
+        saleData.toAddress,
+        saleData.fromAddress,
+        saleData.venue,
+        saleData.provenanceFields,
+        saleData.pricedAt,
+        saleData.marketplaceFallback
+      );
+    } else if (contractAddress === MOONCATS_CONTRACT_ADDRESS.toLowerCase()) {
+      await announceMoonCatSale(
+        saleData.tokenId,
+        saleData.ethPrice,
+        saleData.transactionUrl,
+        saleData.payment,
+        saleData.protocolAddress,
+        saleData.toAddress,
+        saleData.fromAddress,
+        saleData.venue,
+        saleData.provenanceFields,
+        saleData.pricedAt,
+        saleData.marketplaceFallback
+      );
+    } else {
+      console.error(`Unrecognized contract address: ${contractAddress}`);
+    }
+  }
 
-    console.log('Processing sales queue...');
-    while (salesQueue.length > 0) {
-      const sale = salesQueue.shift();
-      console.log(`Processing sale for tokenId: ${sale.tokenId}`);
+  const historyCollection = (contractAddress) =>
+    contractAddress.toLowerCase() === OLD_WRAPPER_CONTRACT_ADDRESS ? 'oldWrapper' : 'acclimated';
+
+  function formatDuration(ms) {
+    const days = Math.floor(ms / 86400000);
+    if (days < 1) return `${Math.max(1, Math.floor(ms / 3600000))}h`;
+    if (days < 60) return `${days}d`;
+    const months = Math.floor(days / 30.44);
+    if (months < 24) return `${months}mo`;
+    const years = Math.floor(months / 12);
+    return months % 12 ? `${years}y ${months % 12}mo` : `${years}y`;
+  }
 
-      try {
-        const contractAddress = sale.contractAddress.toLowerCase();
-        const saleData = await fetchSaleDataFromOpenSea(sale.tokenId, sale.sellerAddress, contractAddress);
-
-        if (saleData) {
-          if (contractAddress === OLD_WRAPPER_CONTRACT_ADDRESS.toLowerCase()) {
-            await announceOldWrapperSale(
-              saleData.tokenId,
-              saleData.ethPrice,
-              saleData.transactionUrl,
-              saleData.payment,
-              saleData.protocolAddress,
-              saleData.toAddress
-            );
-          } else if (contractAddress === MOONCATS_CONTRACT_ADDRESS.toLowerCase()) {
-            await announceMoonCatSale(
-              saleData.tokenId,
-              saleData.ethPrice,
-              saleData.transactionUrl,
-              saleData.payment,
-              saleData.protocolAddress,
-              saleData.toAddress,
-              saleData.fromAddress
-            );
-          } else {
-            console.error(`Unrecognized contract address: ${contractAddress}`);
-          }
+  const formatDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+  const isEthDenominated = (symbol) => symbol === 'ETH' || symbol === 'WETH';
+
+  // Reads the token's Transfer history up to the sale block: how many earlier transfers the sale
+  // decoder recognises as sales, when the seller received it, and what they paid if that transfer was
+  // itself a sale. Sale counts are kept in salesHistory, so later sales only read the blocks since.
+  async function fetchChainProvenance(saleData, blockNumber) {
+    const contractAddress = saleData.contractAddress.toLowerCase();
+    const collection = historyCollection(contractAddress);
+    const contract = transferReadContracts[collection];
+    const seller = saleData.fromAddress.toLowerCase();
+    const toBlock = Number(blockNumber) - 1;
+    const known = salesHistory.saleCount(collection, saleData.tokenId);
+    const counted = known && known.throughBlock <= toBlock ? known : null;
+    try {
+      const filter = contract.filters.Transfer(null, null, saleData.tokenId);
+      const { events, complete } = await queryLogsBackwards(contract, filter, counted ? counted.throughBlock + 1 : 0, toBlock);
+
+      const decodedByTransaction = new Map();
+      for (const event of events) {
+        if (event.args.from === ethers.ZeroAddress || event.args.to === ethers.ZeroAddress) continue;
+        if (decodedByTransaction.has(event.transactionHash)) continue;
+        decodedByTransaction.set(event.transactionHash, await saleDecoder.decodeSale(event.transactionHash, contractAddress, saleData.tokenId));
+      }
+      const isSale = (decoded) => Boolean(decoded && Number(decoded.ethPrice) > 0);
+      const salesFound = [...decodedByTransaction.values()].filter(isSale).length;
+      const priorSales = complete ? (counted?.count || 0) + salesFound : null;
+
+      const acquisition = [...events].reverse().find(event => event.args.to.toLowerCase() === seller);
+      let acquiredAt = null;
+      let purchase = null;
+      if (acquisition) {
+        acquiredAt = Number((await acquisition.getBlock()).timestamp) * 1000;
+        const decoded = decodedByTransaction.get(acquisition.transactionHash);
+        if (isSale(decoded)) {
+          purchase = { price: Number(decoded.ethPrice), symbol: decoded.payment.symbol, buyer: seller, timestamp: acquiredAt };
         }
-      } catch (error) {
-        console.error(`Error processing sale for tokenId: ${sale.tokenId}`, error);
       }
+
+      return { priorSales, acquiredAt, purchase };
+    } catch (error) {
+      console.error(`Error reading Transfer history for tokenId: ${saleData.tokenId}`, error);
+      return null;
     }
+  }
 
-    isProcessingSales = false;
+  // `soldAt` is the sale block's timestamp, so "Held For" does not grow with announcement delay.
+  function describeProvenance(saleData, soldAt) {
+    const collection = historyCollection(saleData.contractAddress);
+    const seller = saleData.fromAddress.toLowerCase();
+    const chain = saleData.chainProvenance || {};
+    const stored = salesHistory.lastSale(collection, saleData.tokenId);
 
-    if (salesQueue.length > 0) {
-      setImmediate(processSalesQueue);
-    } else {
-      console.log('Finished processing sales queue.');
+    const previousSale = stored || chain.purchase || null;
+    const sellerPurchase = stored?.buyer === seller ? stored : chain.purchase;
+    const acquiredAt = salesHistory.acquiredAt(collection, saleData.tokenId, seller) || chain.acquiredAt;
+
+    const fields = [];
+    if (previousSale) {
+      fields.push({ name: 'Previous Sale', value: `${formatEthPrice(previousSale.price)} ${previousSale.symbol} on ${formatDate(previousSale.timestamp)}`, inline: true });
+    }
+    if (sellerPurchase && isEthDenominated(sellerPurchase.symbol) && isEthDenominated(saleData.payment?.symbol)) {
+      const profit = Number(saleData.ethPrice) - sellerPurchase.price;
+      const sign = profit >= 0 ? '+' : '-';
+      const pct = sellerPurchase.price > 0 ? ` (${sign}${Math.abs((profit / sellerPurchase.price) * 100).toFixed(1)}%)` : '';
+      fields.push({ name: 'Seller P/L', value: `${sign}${formatEthPrice(Math.abs(profit))} ETH${pct}`, inline: true });
     }
+    if (acquiredAt) {
+      fields.push({ name: 'Held For', value: formatDuration(soldAt - acquiredAt), inline: true });
+    }
+    if (chain.priorSales != null) {
+      fields.push({ name: 'Times Traded', value: String(chain.priorSales + 1), inline: true });
+    }
+    return fields;
   }
 
-  let isProcessingTransfers = false;
-  async function processTransferQueue() {
-    if (isProcessingTransfers) return;
-    isProcessingTransfers = true;
+  async function prepareTransaction(task) {
+    const { transactionHash } = task;
+    console.log(`Preparing ${task.transfers.length} transfer(s) for tx: ${transactionHash}`);
 
-    console.log('Processing transfer queue...');
-    while (transferQueue.length > 0) {
-      const transfer = transferQueue.shift();
-      console.log(`Processing transfer for tokenId: ${transfer.tokenId}`);
+    const receipt = await fetchTransactionReceipt(transactionHash);
+    if (!receipt || !receipt.status) {
+      console.log(`Invalid transaction detected: ${transactionHash}`);
+      return null;
+    }
 
+    const migrations = task.transfers.filter(transfer => transfer.migration);
+    const saleDatas = [];
+    for (const transfer of task.transfers.filter(transfer => !transfer.migration)) {
       try {
-        await new Promise(resolve => setTimeout(resolve, TRANSFER_PROCESS_DELAY_MS));
-
-        const receipt = await fetchTransactionReceipt(transfer.transactionHash);
-        if (receipt && receipt.status) {
-          console.log(`Valid transfer detected for tokenId: ${transfer.tokenId}, pushing to sales queue`);
-          salesQueue.push(transfer);
-          processSalesQueue();
-        } else {
-          console.log(`Invalid transfer detected for tokenId: ${transfer.tokenId}`);
-        }
+        const saleData = await resolveSaleData(transfer);
+        if (saleData) saleDatas.push(saleData);
       } catch (error) {
-        console.error(`Error processing transfer for tokenId: ${transfer.tokenId}`, error);
+        console.error(`Error resolving sale for tokenId: ${transfer.tokenId}`, error);
+      }
+    }
+
+    for (const saleData of saleDatas) {
+      saleData.chainProvenance = await fetchChainProvenance(saleData, receipt.blockNumber);
+    }
+
+    let timestamp = Date.now();
+    try {
+      const block = await web3.eth.getBlock(receipt.blockNumber);
+      timestamp = Number(block.timestamp) * 1000;
+    } catch (error) {
+      console.error(`Error fetching block timestamp for tx: ${transactionHash}`, error);
+    }
+
+    return { receipt, migrations, saleDatas, timestamp };
+  }
+
+  async function announceTransaction(task, prepared) {
+    if (!prepared) return;
+    const { receipt, migrations, saleDatas, timestamp } = prepared;
+
+    for (const saleData of saleDatas) {
+      saleData.provenanceFields = describeProvenance(saleData, timestamp);
+      saleData.pricedAt = { timestamp, blockTag: Number(receipt.blockNumber) };
+    }
+
+    for (const transfer of task.transfers) {
+      if (!transfer.buyerAddress) continue;
+      salesHistory.recordTransfer(historyCollection(transfer.contractAddress), transfer.tokenId, {
+        to: transfer.buyerAddress,
+        timestamp,
+        transactionHash: task.transactionHash
+      });
+    }
+    for (const saleData of saleDatas) {
+      salesHistory.recordSale(historyCollection(saleData.contractAddress), saleData.tokenId, {
+        price: Number(saleData.ethPrice),
+        symbol: saleData.payment?.symbol || 'ETH',
+        buyer: saleData.toAddress.toLowerCase(),
+        timestamp,
+        transactionHash: task.transactionHash
+      });
+      const priorSales = saleData.chainProvenance?.priorSales;
+      if (priorSales != null) {
+        salesHistory.recordSaleCount(historyCollection(saleData.contractAddress), saleData.tokenId, priorSales + 1, Number(receipt.blockNumber));
+      }
+    }
+
+    for (const transfer of migrations) {
+      await announceMigration(transfer, receipt);
+    }
+
+    for (const saleData of saleDatas) {
+      await listingMessages.markSold(historyCollection(saleData.contractAddress), saleData.tokenId, saleData.fromAddress,
+        `${formatEthPrice(saleData.ethPrice)} ${saleData.payment?.symbol || 'ETH'}`);
+    }
+
+    const byBuyer = new Map();
+    for (const saleData of saleDatas) {
+      const buyer = saleData.toAddress.toLowerCase();
+      if (!byBuyer.has(buyer)) byBuyer.set(buyer, []);
+      byBuyer.get(buyer).push(saleData);
+    }
+
+    for (const buyerSales of byBuyer.values()) {
+      if (buyerSales.length > 1) {
+        await announceSweep(buyerSales);
+      } else {
+        await announceSingleSale(buyerSales[0]);
       }
     }
 
-    isProcessingTransfers = false;
+    if (migrations.length > 0 || saleDatas.length > 0) {
+      announcementLatency.observe({ bot: 'sales' }, (Date.now() - task.receivedAt) / 1000);
+    }
+  }
+
+  const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+  const TRANSFER_TOPIC = web3.utils.sha3('Transfer(address,address,uint256)');
+
+  function classifyMigration(contractAddress, fromAddress, toAddress) {
+    const contract = contractAddress.toLowerCase();
+    const from = fromAddress.toLowerCase();
+    const to = toAddress.toLowerCase();
+
+    if (contract === MOONCATS_CONTRACT_ADDRESS) {
+      if (from === ZERO_ADDRESS) return 'acclimated';
+      if (to === ZERO_ADDRESS) return 'unwrapped';
+    } else if (contract === OLD_WRAPPER_CONTRACT_ADDRESS) {
+      if (from === ZERO_ADDRESS) return 'wrapped';
+      if (to === ZERO_ADDRESS) return 'oldWrapperUnwrapped';
+      if (to === MOONCATS_CONTRACT_ADDRESS) return 'migrating';
+    }
+    return null;
+  }
+
+  function receiptHasTransfer(receipt, contractAddress, predicate) {
+    return (receipt.logs || []).some(log =>
+      log.address.toLowerCase() === contractAddress &&
+      log.topics[0] === TRANSFER_TOPIC &&
+      log.topics.length === 4 &&
+      predicate(
+        `0x${log.topics[1].slice(26)}`.toLowerCase(),
+        `0x${log.topics[2].slice(26)}`.toLowerCase()
+      )
+    );
+  }
+
+  async function sendMigrationToDiscord(title, rescueIndex, messageText, imageUrl, transactionHash, route) {
+    const etherScanEmoji = '<:logo_etherscan:1202580047765180498>';
+
+    const payload = {
+      username: 'mooncatbot',
+      avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
+      embeds: [{
+        title,
+        url: `https://chainstation.mooncatrescue.com/mooncats/${rescueIndex}`,
+        description: messageText,
+        fields: [
+          { name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](https://etherscan.io/tx/${transactionHash})`, inline: true }
+        ],
+        color: 3447003,
+        thumbnail: { url: imageUrl }
+      }]
+    };
+
+    const webhooks = await webhookRouter.route(route);
+    return discordDelivery.deliver(webhooks, payload, `${title} MoonCat #${rescueIndex}`);
+  }
+
+  async function announceMigration(transfer, receipt) {
+    const { migration, tokenId, transactionHash } = transfer;
+    console.log(`Announcing ${migration} migration for tokenId: ${tokenId}`);
+
+    if (migration === 'migrating') {
+      console.log(`Old wrapper #${tokenId} sent to the acclimator, the acclimated mint will be announced instead.`);
+      return;
+    }
+
+    const isAcclimatorMint = receiptHasTransfer(receipt, MOONCATS_CONTRACT_ADDRESS, (from) => from === ZERO_ADDRESS);
+    if (migration === 'oldWrapperUnwrapped' && isAcclimatorMint) {
+      console.log(`Old wrapper #${tokenId} burned during acclimation, skipping separate unwrap announcement.`);
+      return;
+    }
+
+    let rescueIndex;
+    let displayName;
+    let imageUrl;
+    let traits;
+    const isAcclimated = transfer.contractAddress.toLowerCase() === MOONCATS_CONTRACT_ADDRESS;
+    if (isAcclimated) {
+      const moonCatData = await getMoonCatNameOrId(tokenId);
+      rescueIndex = Number(tokenId);
+      displayName = moonCatData?.details?.name || moonCatData?.details?.catId;
+      imageUrl = await getMoonCatImageURL(tokenId);
+      traits = moonCatData?.details;
+    } else {
+      const details = await getOldWrapperImageAndDetails(tokenId);
+      rescueIndex = details.rescueIndex;
+      displayName = details.isNamed ? details.name : details.realTokenIdHex;
+      imageUrl = details.imageUrl;
+      traits = details.details;
+    }
+
+    if (isBlockedFullName(displayName)) {
+      console.log(`Blacklisted name detected ("${displayName}"); skipping migration announcement.`);
+      recordAnnouncement('sales', 'migration', 'blacklisted');
+      return;
+    }
+
+    const label = rescueIndex != null ? `MoonCat #${rescueIndex}: ${displayName}` : `Wrapped MoonCat #${tokenId}`;
 
-    if (transferQueue.length > 0) {
-      setImmediate(processTransferQueue);
+    let title;
+    let messageText;
+    if (migration === 'acclimated') {
+      const fromOldWrapper = receiptHasTransfer(receipt, OLD_WRAPPER_CONTRACT_ADDRESS, (from, to) => to === MOONCATS_CONTRACT_ADDRESS);
+      title = 'Acclimated';
+      messageText = `${label} was acclimated${fromOldWrapper ? ' from the old wrapper' : ''}`;
+    } else if (migration === 'unwrapped') {
+      title = 'Unwrapped';
+      messageText = `${label} was unwrapped from the acclimator`;
+    } else if (migration === 'wrapped') {
+      title = 'Wrapped';
+      messageText = `${label} was wrapped as #${tokenId} in the old wrapper`;
     } else {
-      console.log('Finished processing transfer queue.');
+      title = 'Unwrapped';
+      messageText = `${label} wrapped as #${tokenId} was unwrapped from the old wrapper`;
     }
+
+    const results = await sendMigrationToDiscord(title, rescueIndex ?? tokenId, messageText, imageUrl, transactionHash, {
+      kind: 'migration',
+      contract: isAcclimated ? 'acclimated' : 'oldWrapper',
+      price: null,
+      classification: rescueIndex != null ? await classifyMoonCat(rescueIndex) : null,
+      vault: false,
+      traits
+    });
+    recordAnnouncement('sales', 'migration', deliveryOutcome(results));
   }
 
   async function fetchTransactionReceipt(transactionHash) {
@@ -744,51 +2934,75 @@ function runSalesBot() {
     }
   }
 
-  mooncatsContract.events.Transfer({ fromBlock: 'latest' })
-    .on('data', (event) => {
-      console.log(`Transfer event detected for tokenId: ${event.returnValues.tokenId}`);
-      transferQueue.push({
+  const transactionScheduler = createOrderedScheduler({
+    label: 'sales',
+    concurrency: SCHEDULER_CONCURRENCY,
+    minStartIntervalMs: SCHEDULER_MIN_START_INTERVAL_MS,
+    delayMs: TRANSFER_PROCESS_DELAY_MS,
+    getKey: (task) => task.transactionHash,
+    merge: (existing, incoming) => existing.transfers.push(...incoming.transfers),
+    compare: (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex),
+    prepare: prepareTransaction,
+    commit: announceTransaction,
+    onChange: () => stateStore.set('sales', 'pendingTransactions', transactionScheduler.items())
+  });
+
+  registerStatusReporter('sales', () => ({
+    queues: { transactions: transactionScheduler.stats() }
+  }));
+
+  function enqueueTransfer(event, contractAddress) {
+    floorTracker.removeToken(
+      contractAddress === OLD_WRAPPER_CONTRACT_ADDRESS ? 'oldWrapper' : 'acclimated',
+      event.returnValues.tokenId,
+      event.returnValues.from
+    );
+    transactionScheduler.add({
+      transactionHash: event.transactionHash,
+      blockNumber: Number(event.blockNumber || 0),
+      logIndex: Number(event.logIndex || 0),
+      receivedAt: Date.now(),
+      transfers: [{
         tokenId: event.returnValues.tokenId,
         transactionHash: event.transactionHash,
         sellerAddress: event.returnValues.from.toLowerCase(),
-        contractAddress: MOONCATS_CONTRACT_ADDRESS
-      });
-      processTransferQueue();
-    })
-    .on('error', (error) => {
-      console.error('Error in MoonCats transfer event listener:', error);
+        buyerAddress: event.returnValues.to.toLowerCase(),
+        contractAddress,
+        migration: classifyMigration(contractAddress, event.returnValues.from, event.returnValues.to)
+      }]
     });
+  }
 
-  oldWrapperContract.events.Transfer({ fromBlock: 'latest' })
-    .on('data', (event) => {
-      console.log(`Old Wrapper transfer event detected for tokenId: ${event.returnValues.tokenId}`);
-      transferQueue.push({
-        tokenId: event.returnValues.tokenId,
-        transactionHash: event.transactionHash,
-        sellerAddress: event.returnValues.from.toLowerCase(),
-        contractAddress: OLD_WRAPPER_CONTRACT_ADDRESS
-      });
-      processTransferQueue();
-    })
-    .on('error', (error) => {
-      console.error('Error in Old Wrapper transfer event listener:', error);
-    });
+  subscribeWithCatchUp(() => web3, 'sales', mooncatsContract, 'Transfer', 'mooncatsTransfer', (event) => {
+    console.log(`Transfer event detected for tokenId: ${event.returnValues.tokenId}`);
+    enqueueTransfer(event, MOONCATS_CONTRACT_ADDRESS);
+  });
+
+  subscribeWithCatchUp(() => web3, 'sales', oldWrapperContract, 'Transfer', 'oldWrapperTransfer', (event) => {
+    console.log(`Old Wrapper transfer event detected for tokenId: ${event.returnValues.tokenId}`);
+    enqueueTransfer(event, OLD_WRAPPER_CONTRACT_ADDRESS);
+  });
+
+  const pendingTransactions = stateStore.get('sales', 'pendingTransactions', []);
+  if (pendingTransactions.length > 0) {
+    console.log(`Resuming ${pendingTransactions.length} pending transactions from saved state.`);
+    pendingTransactions.forEach(task => transactionScheduler.add(task));
+  }
 
   console.log("Sales bot started.");
 }
 
 function runListingBot() {
-  let cachedConversionRate = null;
-  let lastFetchedTime = 0;
-  let lastProcessedTimestamp = 0;
-  let firstRun = true;
+  let lastProcessedTimestamp = stateStore.get('listing', 'lastProcessedTimestamp', 0);
+  // Start of a window that a poll could not page all the way through (page limit or an HTTP error).
+  // Polls resume from here until one completes, so processing newer listings can't skip the gap.
+  let listingGapSince = stateStore.get('listing', 'listingGapSince', null);
+  let firstRun = !lastProcessedTimestamp;
 
-  const ALCHEMY_PROJECT_ID = process.env.LISTING_ALCHEMY_PROJECT_ID;
   const OPENSEA_API_KEY = process.env.LISTING_OPENSEA_API_KEY;
-  const COINMARKETCAP_API_KEY = process.env.LISTING_COINMARKETCAP_API_KEY;
-  const DISCORD_WEBHOOK_URL = process.env.LISTING_DISCORD_WEBHOOK_URL;
+  const openSeaEvents = createOpenSeaEventsClient(OPENSEA_API_KEY);
 
-  const provider = new ethers.AlchemyProvider('homestead', ALCHEMY_PROJECT_ID);
+  const provider = createReadProvider(rpcEndpointsFor('LISTING').http, 'listings');
 
   const MOONCATS_CONTRACT_ADDRESS = '0xc3f733ca98e0dad0386979eb96fb1722a1a05e69';
   const OLD_WRAPPER_CONTRACT_ADDRESS = '0x7c40c393dc0f283f318791d746d894ddd3693572';
@@ -823,20 +3037,155 @@ function runListingBot() {
     provider
   );
 
-  const LISTINGS_QUEUE = [];
-  const PROCESSED_LISTINGS = new Set();
+  const TRANSFER_EVENT_ABI = ['event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'];
+  const transferReadContracts = {
+    acclimated: new ethers.Contract(MOONCATS_CONTRACT_ADDRESS, TRANSFER_EVENT_ABI, provider),
+    oldWrapper: new ethers.Contract(OLD_WRAPPER_CONTRACT_ADDRESS, TRANSFER_EVENT_ABI, provider)
+  };
+
+  const LISTINGS_QUEUE = stateStore.get('listing', 'listingsQueue', []);
+  const PROCESSED_LISTINGS = new Set(stateStore.get('listing', 'processedListings', []));
+  const MAX_PROCESSED_LISTINGS = 200;
   const LISTING_PROCESS_DELAY_MS = 30000;
 
-  const BLACKLIST = {};
+  // An offer is announced when it meets EITHER threshold: at least OFFER_MIN_ETH, or at least
+  // OFFER_MIN_FLOOR_PERCENT of the current floor. Setting either variable to 0 or empty disables that
+  // threshold; disabling both announces every offer.
+  const offerThreshold = (value, fallback) => {
+    if (value === undefined) return fallback;
+    const threshold = Number(value);
+    return value.trim() === '' || !(threshold > 0) ? null : threshold;
+  };
+  const OFFER_MIN_ETH = offerThreshold(process.env.LISTING_OFFER_MIN_ETH, 1);
+  const OFFER_MIN_FLOOR_PERCENT = offerThreshold(process.env.LISTING_OFFER_MIN_FLOOR_PERCENT, 90);
+  const PROCESSED_OFFERS = new Set(stateStore.get('listing', 'processedOffers', []));
+  const MAX_PROCESSED_OFFERS = 200;
+  let lastOfferTimestamp = stateStore.get('listing', 'lastOfferTimestamp', 0);
+
+  const OPEN_LISTINGS = stateStore.get('listing', 'openListings', {});
+  const CLOSED_LISTINGS = stateStore.get('listing', 'closedListings', []);
+  const MAX_CLOSED_LISTINGS = 200;
+  const EXPIRY_SWEEP_MS = 600000;
+  // Listings without an expiration date are dropped after this long so stale asks don't linger.
+  const OPEN_LISTING_MAX_AGE_SEC = 30 * 86400;
+
+  const BLACKLIST = stateStore.get('listing', 'blacklist', {});
   const ONE_DAY_MS = 86400000;
 
+  for (const [sellerAddress, tokens] of Object.entries(BLACKLIST)) {
+    for (const [tokenId, addedAt] of Object.entries(tokens)) {
+      if ((Date.now() - addedAt) >= ONE_DAY_MS) delete tokens[tokenId];
+    }
+    if (Object.keys(tokens).length === 0) delete BLACKLIST[sellerAddress];
+  }
+
   const BASE_POLL_MS = 300000;
   const MAX_BACKOFF_MS = 1800000;
-  const BETWEEN_REQUESTS_MS = 1200;
 
   let nextPollMs = BASE_POLL_MS;
   let consecutive429 = 0;
   let isProcessingListings = false;
+  let listingMode = 'starting';
+  let pollTimer = null;
+
+  const STREAM_HEALTH_CHECK_MS = 60000;
+  const STREAM_HEARTBEAT_TIMEOUT_MS = 120000;
+  const STREAM_SILENCE_MS = Number(process.env.LISTING_STREAM_SILENCE_MINUTES || 30) * 60000;
+  const RECONCILE_MARGIN_SEC = 120;
+
+  let streamClient = null;
+  const streamHealth = { connected: false, connectedAt: 0, lastHeartbeatAt: 0, lastEventAt: 0, lastHealthyAt: 0 };
+
+  const isoOrNull = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  registerStatusReporter('listings', () => ({
+    mode: listingMode,
+    pollBackoffMs: listingMode === 'polling' ? nextPollMs : null,
+    consecutive429,
+    processing: isProcessingListings,
+    openListings: Object.keys(OPEN_LISTINGS).length,
+    stream: streamClient
+      ? {
+        connected: streamHealth.connected,
+        lastHeartbeatAt: isoOrNull(streamHealth.lastHeartbeatAt),
+        lastEventAt: isoOrNull(streamHealth.lastEventAt),
+        lastHealthyAt: isoOrNull(streamHealth.lastHealthyAt)
+      }
+      : null,
+    queues: { listings: LISTINGS_QUEUE.length }
+  }));
+
+  function persistListingState() {
+    stateStore.set('listing', 'lastProcessedTimestamp', lastProcessedTimestamp);
+    stateStore.set('listing', 'listingGapSince', listingGapSince);
+    stateStore.set('listing', 'processedListings', [...PROCESSED_LISTINGS]);
+    stateStore.set('listing', 'listingsQueue', LISTINGS_QUEUE);
+    stateStore.set('listing', 'blacklist', BLACKLIST);
+    stateStore.set('listing', 'openListings', OPEN_LISTINGS);
+    stateStore.set('listing', 'closedListings', CLOSED_LISTINGS);
+    stateStore.set('listing', 'processedOffers', [...PROCESSED_OFFERS]);
+    stateStore.set('listing', 'lastOfferTimestamp', lastOfferTimestamp);
+  }
+
+  const openListingKey = (contract, tokenId, maker) =>
+    `${String(contract).toLowerCase()}:${tokenId}:${String(maker).toLowerCase()}`;
+
+  // Records the listing as the seller's open ask for the token and returns the ask it replaced, if any.
+  function rememberOpenListing(listing) {
+    const nft = listing.nft || listing.asset;
+    const key = openListingKey(nft.contract, nft.identifier, listing.maker);
+    const previous = OPEN_LISTINGS[key];
+    OPEN_LISTINGS[key] = {
+      orderHash: listing.order_hash,
+      contract: String(nft.contract).toLowerCase(),
+      tokenId: String(nft.identifier),
+      maker: String(listing.maker).toLowerCase(),
+      price: listing.payment.quantity / (10 ** listing.payment.decimals),
+      symbol: listing.payment.symbol || 'ETH',
+      listedAt: Number(listing.event_timestamp || 0) || Math.floor(Date.now() / 1000),
+      expiresAt: Number(listing.expiration_date || 0) || null
+    };
+
+    const nowSec = Date.now() / 1000;
+    if (!previous || previous.orderHash === listing.order_hash) return null;
+    if (previous.expiresAt && previous.expiresAt <= nowSec) return null;
+    return previous;
+  }
+
+  function closeListing(orderHash, reason) {
+    floorTracker.removeOrder(orderHash);
+    if (reason === 'cancelled' || reason === 'expired') {
+      listingMessages.markClosed(orderHash, reason).catch(error =>
+        console.error(`Error editing announcement for closed listing ${orderHash}:`, error));
+    }
+    const key = Object.keys(OPEN_LISTINGS).find(openKey => OPEN_LISTINGS[openKey].orderHash === orderHash);
+    if (!key) return;
+
+    const entry = OPEN_LISTINGS[key];
+    delete OPEN_LISTINGS[key];
+    CLOSED_LISTINGS.push({ ...entry, reason, closedAt: Math.floor(Date.now() / 1000) });
+    if (CLOSED_LISTINGS.length > MAX_CLOSED_LISTINGS) CLOSED_LISTINGS.shift();
+    listingsClosedTotal.inc({ reason });
+    persistListingState();
+    console.log(`Listing ${orderHash} for token ${entry.tokenId} by ${entry.maker} closed (${reason}).`);
+  }
+
+  function expireOpenListings() {
+    const nowSec = Date.now() / 1000;
+    for (const entry of Object.values(OPEN_LISTINGS)) {
+      if (entry.expiresAt && entry.expiresAt <= nowSec) closeListing(entry.orderHash, 'expired');
+      else if (!entry.expiresAt && nowSec - entry.listedAt >= OPEN_LISTING_MAX_AGE_SEC) closeListing(entry.orderHash, 'stale');
+    }
+    floorTracker.pruneExpired();
+  }
+
+  // A token that changed hands on-chain invalidates every ask tracked for it.
+  function closeSoldListings(collection, tokenId) {
+    const contract = collection === 'oldWrapper' ? OLD_WRAPPER_CONTRACT_ADDRESS : MOONCATS_CONTRACT_ADDRESS;
+    for (const entry of Object.values(OPEN_LISTINGS)) {
+      if (entry.contract === contract && entry.tokenId === tokenId) closeListing(entry.orderHash, 'sold');
+    }
+  }
 
   function normalizeStreamListingEvent(event) {
     try {
@@ -876,11 +3225,13 @@ function runListingBot() {
         maker: makerAddress,
         taker: null,
         protocol_address: payload.protocol_address || payload.protocolAddress || '',
-        payment: {
+        expiration_date: payload.expiration_date ? Math.floor(new Date(payload.expiration_date).getTime() / 1000) : null,
+        payment: paymentTokens.fromOpenSea({
           quantity: price ?? '0',
-          decimals: paymentToken.decimals ?? 18,
-          symbol: paymentToken.symbol || 'ETH'
-        },
+          decimals: paymentToken.decimals,
+          symbol: paymentToken.symbol,
+          address: paymentToken.address
+        }),
         nft: {
           identifier: tokenId,
           contract,
@@ -935,6 +3286,18 @@ function runListingBot() {
     }
   }
 
+  async function getMoonCatTraits(tokenId) {
+    try {
+      const response = await fetch(`https://api.mooncat.community/traits/${tokenId}`);
+      if (!response.ok) throw new Error(`Failed to fetch MoonCat traits for token ${tokenId}: ${response.statusText}`);
+      const data = await response.json();
+      return data.details || null;
+    } catch (error) {
+      console.error(`Error fetching traits for tokenId: ${tokenId}`, error);
+      return null;
+    }
+  }
+
   async function getRealTokenIdFromWrapper(tokenId) {
     console.log(`Fetching real token ID for wrapped tokenId: ${tokenId}`);
     try {
@@ -962,7 +3325,7 @@ function runListingBot() {
       const isNamed = data.details.isNamed === "Yes";
       const imageUrl = `https://api.mooncat.community/regular-image/${rescueIndex}`;
       console.log(`Fetched details for tokenId: ${tokenId} - Name: ${name}, RescueIndex: ${rescueIndex}, IsNamed: ${isNamed}`);
-      return { imageUrl, name, rescueIndex, realTokenIdHex, isNamed };
+      return { imageUrl, name, rescueIndex, realTokenIdHex, isNamed, details: data.details };
     } catch (error) {
       console.error(`Error fetching details for old wrapped tokenId: ${tokenId}`, error);
       return {
@@ -970,38 +3333,14 @@ function runListingBot() {
         name: `Wrapped MoonCat #${tokenId}`,
         rescueIndex: null,
         realTokenIdHex: null,
-        isNamed: false
+        isNamed: false,
+        details: null
       };
     }
   }
 
-  async function getEthToUsdConversionRate() {
-    const currentTime = Date.now();
-    const oneHour = 3600000;
-    if (cachedConversionRate && (currentTime - lastFetchedTime) < oneHour) {
-      console.log(`Using cached ETH to USD conversion rate: ${cachedConversionRate}`);
-      return cachedConversionRate;
-    }
-
-    const url = 'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest';
-    const params = new URLSearchParams({ 'symbol': 'ETH', 'convert': 'USD' });
-
-    console.log(`Fetching ETH to USD conversion rate...`);
-    try {
-      const response = await fetch(`${url}?${params}`, {
-        method: 'GET',
-        headers: { 'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY, 'Accept': 'application/json' }
-      });
-      if (!response.ok) throw new Error(`API responded with status ${response.status}`);
-      const data = await response.json();
-      cachedConversionRate = data.data.ETH.quote.USD.price;
-      lastFetchedTime = currentTime;
-      console.log(`Fetched ETH to USD conversion rate: ${cachedConversionRate}`);
-      return cachedConversionRate;
-    } catch (error) {
-      console.error('Error fetching ETH to USD conversion rate:', error);
-      return null;
-    }
+  async function getEthToUsdConversionRate(at = {}) {
+    return priceService.ethUsdRate({ ...at, provider: provider });
   }
 
   function formatEthPrice(ethPrice) {
@@ -1025,20 +3364,17 @@ function runListingBot() {
     const currentTime = Date.now();
     if (!BLACKLIST[sellerAddress]) BLACKLIST[sellerAddress] = {};
     BLACKLIST[sellerAddress][tokenId] = currentTime;
+    persistListingState();
     console.log(`Added seller: ${sellerAddress}, tokenId: ${tokenId} to blacklist at ${new Date(currentTime).toISOString()}`);
   }
 
-  async function sendToDiscord(tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplaceName) {
+  async function sendToDiscord(tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplace, contextFields, route, title = 'Listed') {
     console.log(`Preparing to send Discord notification for listing tokenId: ${tokenId}`);
     if (!messageText) {
       console.error('Error: Message text is empty.');
       return;
     }
 
-    const openSeaEmoji = '<:logo_opensea:1202575710791933982>';
-    const blurEmoji = '<:logo_blur:1202577510458728458>';
-    const marketplaceEmoji = marketplaceName === "OpenSea" ? openSeaEmoji : blurEmoji;
-
     const ensNameOrAddress = await resolveEnsName(sellerAddress);
     const shortSellerAddress = sellerAddress.substring(0, 6);
     const displaySellerAddress = ensNameOrAddress !== sellerAddress ? ensNameOrAddress : shortSellerAddress;
@@ -1047,38 +3383,30 @@ function runListingBot() {
       username: 'mooncatbot',
       avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
       embeds: [{
-        title: 'Listed',
+        title,
         url: `https://chainstation.mooncatrescue.com/mooncats/${tokenId}`,
         description: `${messageText}`,
         fields: [
           { name: 'Seller', value: `[${displaySellerAddress}](https://chainstation.mooncatrescue.com/owners/${sellerAddress})`, inline: true },
-          { name: 'Marketplace', value: `${marketplaceEmoji} [${marketplaceName}](${listingUrl})`, inline: true }
+          { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${listingUrl})`, inline: true },
+          ...contextFields
         ],
         color: 3447003,
         thumbnail: { url: imageUrl }
       }]
     };
 
-    const response = await fetch(DISCORD_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) throw new Error(`Error sending to Discord: ${response.statusText}`);
-    console.log(`Successfully sent listing announcement for tokenId: ${tokenId} to Discord.`);
+    const webhooks = await webhookRouter.route(route);
+    const results = await discordDelivery.deliver(webhooks, payload, `listing MoonCat #${tokenId}`, { query: { wait: 'true' } });
+    return { payload, results };
   }
 
-  async function sendOldWrapperListingToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplaceName) {
+  async function sendOldWrapperListingToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplace, contextFields, route, title = 'Listed') {
     if (!messageText) {
       console.error('Error: Message text is empty.');
       return;
     }
 
-    const openSeaEmoji = '<:logo_opensea:1202575710791933982>';
-    const blurEmoji = '<:logo_blur:1202577510458728458>';
-    const marketplaceEmoji = marketplaceName === "OpenSea" ? openSeaEmoji : blurEmoji;
-
     const ensNameOrAddress = await resolveEnsName(sellerAddress);
     const shortSellerAddress = sellerAddress.substring(0, 6);
     const displaySellerAddress = ensNameOrAddress !== sellerAddress ? ensNameOrAddress : shortSellerAddress;
@@ -1087,29 +3415,443 @@ function runListingBot() {
       username: 'mooncatbot (w)',
       avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
       embeds: [{
-        title: 'Listed',
+        title,
         url: `https://chainstation.mooncatrescue.com/mooncats/${rescueIndex}`,
         description: `${messageText}`,
         fields: [
           { name: 'Seller', value: `[${displaySellerAddress}](https://chainstation.mooncatrescue.com/owners/${sellerAddress})`, inline: true },
-          { name: 'Marketplace', value: `${marketplaceEmoji} [${marketplaceName}](${listingUrl})`, inline: true }
+          { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${listingUrl})`, inline: true },
+          ...contextFields
+        ],
+        color: 3447003,
+        thumbnail: { url: imageUrl }
+      }]
+    };
+
+    const webhooks = await webhookRouter.route(route);
+    const results = await discordDelivery.deliver(webhooks, payload, `old wrapper listing #${tokenId}`, { query: { wait: 'true' } });
+    return { payload, results };
+  }
+
+  const FLOOR_RESYNC_MS = 3600000;
+  const FLOOR_RESYNC_MAX_PAGES = 5;
+  const FLOOR_COLLECTIONS = [
+    { slug: 'acclimatedmooncats', collection: 'acclimated', contract: MOONCATS_CONTRACT_ADDRESS, label: 'Acclimated MoonCats' },
+    { slug: 'wrapped-mooncatsrescue', collection: 'oldWrapper', contract: OLD_WRAPPER_CONTRACT_ADDRESS, label: 'Old-wrapped MoonCats' }
+  ];
+
+  const floorCollectionFor = (predicate) => FLOOR_COLLECTIONS.find(predicate) || null;
+  const isEthPayment = (symbol) => !symbol || symbol === 'ETH' || symbol === 'WETH';
+
+  async function trackListing(listing) {
+    const nft = listing.nft || listing.asset;
+    const floorCollection = floorCollectionFor(c => c.contract === String(nft?.contract || '').toLowerCase());
+    if (!floorCollection || nft?.identifier == null || !isEthPayment(listing.payment?.symbol)) return;
+
+    floorTracker.addListing({
+      collection: floorCollection.collection,
+      orderHash: listing.order_hash,
+      tokenId: String(nft.identifier),
+      price: Number(listing.payment.quantity) / (10 ** Number(listing.payment.decimals ?? 18)),
+      maker: String(listing.maker || '').toLowerCase(),
+      expiresAt: Number(listing.expiration_date || 0) || null,
+      classification: floorCollection.collection === 'acclimated' ? await classifyMoonCat(Number(nft.identifier)) : null
+    });
+  }
+
+  async function fetchBestListings(slug) {
+    const listings = [];
+    let next = null;
+    for (let page = 0; page < FLOOR_RESYNC_MAX_PAGES; page++) {
+      const url = `https://api.opensea.io/api/v2/listings/collection/${slug}/best?limit=100${next ? `&next=${encodeURIComponent(next)}` : ''}`;
+      const response = await openSea.get(OPENSEA_API_KEY, url, { label: `${slug} best listings` });
+      if (!response.ok) throw new Error(`OpenSea responded with status ${response.status}`);
+      listings.push(...(response.data?.listings || []));
+      next = response.data?.next;
+      if (!next) break;
+    }
+    return listings;
+  }
+
+  async function resyncFloorBook() {
+    floorTracker.pruneExpired();
+    for (const floorCollection of FLOOR_COLLECTIONS) {
+      try {
+        const bestListings = await fetchBestListings(floorCollection.slug);
+        const entries = [];
+        for (const bestListing of bestListings) {
+          const current = bestListing.price?.current;
+          const parameters = bestListing.protocol_data?.parameters;
+          const tokenId = parameters?.offer?.[0]?.identifierOrCriteria;
+          if (!current || tokenId == null || !isEthPayment(current.currency)) continue;
+          entries.push({
+            collection: floorCollection.collection,
+            orderHash: bestListing.order_hash,
+            tokenId: String(tokenId),
+            price: Number(current.value) / (10 ** Number(current.decimals ?? 18)),
+            maker: String(parameters.offerer || '').toLowerCase(),
+            expiresAt: Number(parameters.endTime || 0) || null,
+            classification: floorCollection.collection === 'acclimated' ? await classifyMoonCat(Number(tokenId)) : null
+          });
+        }
+        floorTracker.replaceCollection(floorCollection.collection, entries);
+        console.log(`[floor] Resynced ${entries.length} ${floorCollection.slug} listings from OpenSea.`);
+      } catch (error) {
+        console.error(`[floor] Failed to resync ${floorCollection.slug} floor listings:`, error);
+      }
+    }
+  }
+
+  async function announceFloorAlert({ scope, reason, floor, previousPrice, changePct }) {
+    const floorCollection = floorCollectionFor(c => c.collection === floor.collection);
+    const bucket = scope.includes(':') ? scope.split(':').slice(1).join(':') : null;
+    const scopeLabel = bucket ? `${floorCollection.label} (${bucket})` : floorCollection.label;
+
+    const ethToUsdRate = await getEthToUsdConversionRate();
+    const usdText = ethToUsdRate
+      ? ` ($${(floor.price * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })})`
+      : '';
+
+    let imageUrl;
+    let catLabel;
+    if (floor.collection === 'oldWrapper') {
+      const details = await getOldWrapperImageAndDetails(floor.tokenId);
+      imageUrl = details.imageUrl;
+      catLabel = details.rescueIndex != null ? `MoonCat #${details.rescueIndex} (wrapped #${floor.tokenId})` : `Wrapped MoonCat #${floor.tokenId}`;
+    } else {
+      imageUrl = await getMoonCatImageURL(floor.tokenId);
+      catLabel = `MoonCat #${floor.tokenId}`;
+    }
+
+    const title = reason === 'newFloorListing' ? 'New floor listing' : 'Floor moved';
+    const direction = changePct < 0 ? 'down' : 'up';
+    const messageText = reason === 'newFloorListing'
+      ? `${catLabel} is the new ${scopeLabel} floor at ${formatEthPrice(floor.price)} ETH${usdText}, previously ${formatEthPrice(previousPrice)} ETH.`
+      : `${scopeLabel} floor is ${direction} ${Math.abs(changePct).toFixed(1)}% from ${formatEthPrice(previousPrice)} ETH to ${formatEthPrice(floor.price)} ETH${usdText} (${catLabel}).`;
+
+    const marketplace = MARKETPLACES.opensea;
+    const payload = {
+      username: 'mooncatbot',
+      avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
+      embeds: [{
+        title,
+        url: marketplace.assetUrl(floorCollection.contract, floor.tokenId),
+        description: messageText,
+        fields: [
+          { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${marketplace.assetUrl(floorCollection.contract, floor.tokenId)})`, inline: true }
         ],
         color: 3447003,
+        thumbnail: imageUrl ? { url: imageUrl } : undefined
+      }]
+    };
+
+    const webhooks = await webhookRouter.route({
+      kind: 'floor',
+      contract: floor.collection,
+      price: floor.price,
+      classification: bucket || floor.classification,
+      vault: false,
+      traits: null
+    });
+    await discordDelivery.deliver(webhooks, payload, `${title} ${scope}`);
+  }
+
+  floorTracker.onAlert(announceFloorAlert);
+
+  function formatDuration(ms) {
+    const days = Math.floor(ms / 86400000);
+    if (days < 1) return `${Math.max(1, Math.floor(ms / 3600000))}h`;
+    if (days < 60) return `${days}d`;
+    const months = Math.floor(days / 30.44);
+    if (months < 24) return `${months}mo`;
+    const years = Math.floor(months / 12);
+    return months % 12 ? `${years}y ${months % 12}mo` : `${years}y`;
+  }
+
+  const formatDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+  const LAST_SALE_CACHE_MS = 600000;
+
+  async function fetchLastSaleFromOpenSea(contract, tokenId) {
+    try {
+      const url = `https://api.opensea.io/api/v2/events/chain/ethereum/contract/${contract}/nfts/${tokenId}?event_type=sale&limit=1`;
+      const response = await openSea.get(OPENSEA_API_KEY, url, { cacheTtlMs: LAST_SALE_CACHE_MS, label: 'last sale' });
+      if (!response.ok) throw new Error(`OpenSea responded with status ${response.status}`);
+      const saleEvent = response.data?.asset_events?.[0];
+      if (!saleEvent?.payment) return null;
+      const payment = paymentTokens.fromOpenSea(saleEvent.payment);
+      return {
+        price: Number(payment.quantity) / (10 ** payment.decimals),
+        symbol: payment.symbol,
+        timestamp: Number(saleEvent.event_timestamp) * 1000
+      };
+    } catch (error) {
+      console.error(`Error fetching last sale from OpenSea for ${contract} #${tokenId}:`, error);
+      return null;
+    }
+  }
+
+  async function fetchAcquiredAtFromChain(collection, tokenId, owner) {
+    try {
+      const contract = transferReadContracts[collection];
+      const { events } = await queryLogsBackwards(contract, contract.filters.Transfer(null, owner, tokenId), 0, await provider.getBlockNumber(), {
+        stopWhen: found => found.length > 0
+      });
+      const latest = events[events.length - 1];
+      if (!latest) return null;
+      const block = await latest.getBlock();
+      return Number(block.timestamp) * 1000;
+    } catch (error) {
+      console.error(`Error fetching acquisition time for ${collection} #${tokenId}:`, error);
+      return null;
+    }
+  }
+
+  async function describeListingContext(listing, collection, contract, tokenId, ethPrice) {
+    const fields = [];
+
+    if (isEthPayment(listing.payment?.symbol)) {
+      const floor = floorTracker.floorFor(collection, { excludeOrderHash: listing.order_hash });
+      if (floor) {
+        const diffPct = ((ethPrice - floor.price) / floor.price) * 100;
+        const comparison = Math.abs(diffPct) < 0.5
+          ? 'At floor'
+          : `${Math.abs(diffPct).toFixed(1)}% ${diffPct > 0 ? 'above' : 'below'} floor`;
+        fields.push({ name: 'Floor', value: `${comparison} (${formatEthPrice(floor.price)} ETH)`, inline: true });
+      }
+    }
+
+    const lastSale = salesHistory.lastSale(collection, tokenId) || await fetchLastSaleFromOpenSea(contract, tokenId);
+    if (lastSale) {
+      fields.push({ name: 'Last Sale', value: `${formatEthPrice(lastSale.price)} ${lastSale.symbol} on ${formatDate(lastSale.timestamp)}`, inline: true });
+    }
+
+    const sellerAddress = String(listing.maker || '').toLowerCase();
+    const acquiredAt = salesHistory.acquiredAt(collection, tokenId, sellerAddress) ||
+      await fetchAcquiredAtFromChain(collection, tokenId, sellerAddress);
+    if (acquiredAt) {
+      const listedAt = Number(listing.event_timestamp || 0) * 1000 || Date.now();
+      fields.push({ name: 'Held For', value: formatDuration(listedAt - acquiredAt), inline: true });
+    }
+
+    return fields;
+  }
+
+  function normalizeStreamOfferEvent(event, floorCollection) {
+    const payload = event?.payload;
+    if (!payload) return null;
+
+    const isCollectionOffer = event.event_type === EventType.COLLECTION_OFFER;
+    const nftId = payload.item?.nft_id;
+    const tokenId = !isCollectionOffer && typeof nftId === 'string' ? nftId.split('/').filter(Boolean).pop() : null;
+    if (!isCollectionOffer && tokenId == null) return null;
+
+    const quantity = Number(payload.quantity || 1);
+    const paymentToken = payload.payment_token || {};
+    const tsStr = payload.event_timestamp || payload.created_date || null;
+
+    return {
+      kind: isCollectionOffer ? 'collectionOffer' : 'offer',
+      orderHash: payload.order_hash,
+      maker: payload.maker?.address || payload.maker || null,
+      floorCollection,
+      tokenId,
+      name: payload.item?.metadata?.name || null,
+      quantity,
+      unitPrice: Number(payload.base_price || 0) / (10 ** Number(paymentToken.decimals ?? 18)) / quantity,
+      symbol: paymentToken.symbol || 'WETH',
+      timestamp: tsStr ? Math.floor(new Date(tsStr).getTime() / 1000) : Math.floor(Date.now() / 1000),
+      expiresAt: payload.expiration_date ? Math.floor(new Date(payload.expiration_date).getTime() / 1000) : null
+    };
+  }
+
+  function normalizeOpenSeaOfferEvent(event, floorCollection) {
+    const orderType = event.order_type || event.event_type;
+    const isCollectionOffer = orderType === 'collection_offer';
+    if (!isCollectionOffer && orderType !== 'item_offer' && orderType !== 'offer') return null;
+
+    const tokenId = isCollectionOffer ? null : (event.asset?.identifier ?? event.nft?.identifier ?? null);
+    if (!isCollectionOffer && tokenId == null) return null;
+
+    const quantity = Number(event.quantity || 1);
+    return {
+      kind: isCollectionOffer ? 'collectionOffer' : 'offer',
+      orderHash: event.order_hash,
+      maker: event.maker,
+      floorCollection,
+      tokenId: tokenId != null ? String(tokenId) : null,
+      name: event.asset?.name || event.nft?.name || null,
+      quantity,
+      unitPrice: Number(event.payment?.quantity || 0) / (10 ** Number(event.payment?.decimals ?? 18)) / quantity,
+      symbol: event.payment?.symbol || 'WETH',
+      timestamp: Number(event.event_timestamp || 0),
+      expiresAt: Number(event.expiration_date || 0) || null
+    };
+  }
+
+  async function announceOffer(offer) {
+    if (!offer?.orderHash || PROCESSED_OFFERS.has(offer.orderHash)) return;
+    PROCESSED_OFFERS.add(offer.orderHash);
+    if (PROCESSED_OFFERS.size > MAX_PROCESSED_OFFERS) {
+      const oldestProcessed = PROCESSED_OFFERS.keys().next().value;
+      PROCESSED_OFFERS.delete(oldestProcessed);
+    }
+    persistListingState();
+
+    if (!isEthPayment(offer.symbol) || !(offer.unitPrice > 0)) return;
+    if (offer.expiresAt && offer.expiresAt <= Date.now() / 1000) return;
+
+    const { floorCollection } = offer;
+    const floor = floorTracker.floorFor(floorCollection.collection);
+    const floorPct = floor ? (offer.unitPrice / floor.price) * 100 : null;
+    const meetsEth = OFFER_MIN_ETH != null && offer.unitPrice >= OFFER_MIN_ETH;
+    const meetsFloor = OFFER_MIN_FLOOR_PERCENT != null && floorPct != null && floorPct >= OFFER_MIN_FLOOR_PERCENT;
+    const meetsThreshold = (OFFER_MIN_ETH == null && OFFER_MIN_FLOOR_PERCENT == null) || meetsEth || meetsFloor;
+    if (!meetsThreshold) {
+      recordAnnouncement('listings', offer.kind, 'below_threshold');
+      return;
+    }
+
+    if (isBlockedFullName(offer.name)) {
+      console.log(`Blacklisted name detected ("${offer.name}"); skipping offer announcement.`);
+      recordAnnouncement('listings', offer.kind, 'blacklisted');
+      return;
+    }
+
+    const ethToUsdRate = await getEthToUsdConversionRate();
+    const usdText = ethToUsdRate
+      ? ` ($${(offer.unitPrice * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD)`
+      : '';
+    const priceText = `${formatEthPrice(offer.unitPrice)} ${offer.symbol}${usdText}`;
+
+    let imageUrl = 'https://assets.coingecko.com/coins/images/36766/large/mooncats.png?1712283962';
+    let messageText;
+    let classification = null;
+    let traits = null;
+    if (offer.kind === 'collectionOffer') {
+      const quantityText = offer.quantity > 1 ? ` each for up to ${offer.quantity} cats` : '';
+      messageText = `New collection offer on ${floorCollection.label}: ${priceText}${quantityText}`;
+    } else if (floorCollection.collection === 'oldWrapper') {
+      const details = await getOldWrapperImageAndDetails(offer.tokenId);
+      if (details.isNamed && isBlockedFullName(details.name)) {
+        recordAnnouncement('listings', offer.kind, 'blacklisted');
+        return;
+      }
+      imageUrl = details.imageUrl;
+      classification = details.rescueIndex != null ? await classifyMoonCat(details.rescueIndex) : null;
+      traits = details.details;
+      const displayCatId = details.isNamed ? details.name : details.realTokenIdHex;
+      const catLabel = details.rescueIndex != null
+        ? `MoonCat #${details.rescueIndex}: ${displayCatId} wrapped as #${offer.tokenId}`
+        : `Wrapped MoonCat #${offer.tokenId}`;
+      messageText = `${catLabel} received an offer of ${priceText}`;
+    } else {
+      imageUrl = await getMoonCatImageURL(offer.tokenId) || imageUrl;
+      classification = await classifyMoonCat(Number(offer.tokenId));
+      traits = () => getMoonCatTraits(offer.tokenId);
+      messageText = `${offer.name || `MoonCat #${offer.tokenId}`} received an offer of ${priceText}`;
+    }
+    if (classification) messageText += `\n\n[ ${classification} ]`;
+
+    const ensNameOrAddress = await resolveEnsName(offer.maker);
+    const displayBidder = ensNameOrAddress !== offer.maker ? ensNameOrAddress : String(offer.maker).substring(0, 6);
+
+    const marketplace = MARKETPLACES.opensea;
+    const offerUrl = offer.tokenId != null
+      ? marketplace.assetUrl(floorCollection.contract, offer.tokenId)
+      : `https://opensea.io/collection/${floorCollection.slug}`;
+
+    const fields = [
+      { name: 'Bidder', value: `[${displayBidder}](https://chainstation.mooncatrescue.com/owners/${offer.maker})`, inline: true },
+      { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${offerUrl})`, inline: true }
+    ];
+    if (floorPct != null) fields.push({ name: 'Floor', value: `${floorPct.toFixed(0)}% of floor (${formatEthPrice(floor.price)} ETH)`, inline: true });
+    if (offer.expiresAt) fields.push({ name: 'Expires', value: `<t:${offer.expiresAt}:R>`, inline: true });
+
+    const payload = {
+      username: floorCollection.collection === 'oldWrapper' ? 'mooncatbot (w)' : 'mooncatbot',
+      avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
+      embeds: [{
+        title: offer.kind === 'collectionOffer' ? 'Collection offer' : 'Offer',
+        url: offerUrl,
+        description: messageText,
+        fields,
+        color: 15844367,
         thumbnail: { url: imageUrl }
       }]
     };
 
-    const response = await fetch(DISCORD_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+    const webhooks = await webhookRouter.route({
+      kind: offer.kind,
+      contract: floorCollection.collection,
+      price: offer.unitPrice,
+      classification,
+      vault: false,
+      traits
     });
+    const results = await discordDelivery.deliver(webhooks, payload, `${offer.kind} ${offer.orderHash}`);
+    recordAnnouncement('listings', offer.kind, deliveryOutcome(results));
+  }
+
+  async function pollOffers() {
+    const baseline = !lastOfferTimestamp;
+    let newest = lastOfferTimestamp;
+    let rateLimited = false;
+    let complete = true;
+
+    for (const floorCollection of FLOOR_COLLECTIONS) {
+      const { events, status, complete: collectionComplete } = await openSeaEvents.fetchEvents(`events/collection/${floorCollection.slug}`, {
+        eventTypes: ['offer'],
+        after: baseline ? null : lastOfferTimestamp,
+        until: event => Number(event.event_timestamp || 0) <= lastOfferTimestamp,
+        maxPages: baseline ? 1 : undefined,
+        label: `${floorCollection.slug} offer`
+      });
+      if (status === 429) rateLimited = true;
+      if (!collectionComplete) complete = false;
 
-    if (!response.ok) throw new Error(`Error sending to Discord: ${response.statusText}`);
-    console.log(`Successfully sent old wrapper listing announcement for tokenId: ${tokenId} to Discord.`);
+      const offers = events
+        .map(event => normalizeOpenSeaOfferEvent(event, floorCollection))
+        .filter(offer => offer && offer.timestamp > lastOfferTimestamp)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      for (const offer of offers) {
+        newest = Math.max(newest, offer.timestamp);
+        if (!baseline) await announceOffer(offer);
+      }
+    }
+
+    // Older pages that were not fetched would be skipped for good if the cursor moved past them; offers
+    // already announced from the newer pages are deduplicated through PROCESSED_OFFERS on the retry.
+    if (baseline || complete) {
+      lastOfferTimestamp = newest || Math.floor(Date.now() / 1000);
+    } else {
+      console.log('[listing] Offer events were not fully fetched; keeping the offer cursor for the next poll.');
+    }
+    persistListingState();
+    return { rateLimited };
+  }
+
+  // The stream does not reliably deliver bids, so offers are also polled while it is up. Offers the
+  // stream already announced are skipped through PROCESSED_OFFERS.
+  async function pollOffersWhileStreaming() {
+    if (listingMode !== 'stream') return;
+    try {
+      await pollOffers();
+    } catch (error) {
+      console.error('Error polling offers from OpenSea:', error);
+    }
+  }
+
+  function recordListingAnnounced(listing, kind, results) {
+    const outcome = deliveryOutcome(results);
+    recordAnnouncement('listings', kind, outcome);
+    if (outcome !== 'delivered') return;
+    const listedAt = Number(listing.event_timestamp || 0);
+    if (listedAt > 0) announcementLatency.observe({ bot: 'listings' }, Date.now() / 1000 - listedAt);
   }
 
-  async function announceMoonCatListing(listing) {
+  async function announceMoonCatListing(listing, previousListing = null) {
     const sellerAddress = listing.maker;
     const nft = listing.nft || listing.asset;
     const tokenId = nft?.identifier;
@@ -1118,40 +3860,64 @@ function runListingBot() {
       return;
     }
 
+    const kind = previousListing ? 'priceDrop' : 'listing';
+
     if (isBlockedFullName(nft?.name)) {
       console.log(`Blacklisted name detected ("${nft?.name}"); skipping listing announcement.`);
+      recordAnnouncement('listings', kind, 'blacklisted');
       return;
     }
 
-    if (isBlacklisted(sellerAddress, tokenId)) {
+    // Price drops bypass the seller cooldown so a relist at a lower price is still announced.
+    if (!previousListing && isBlacklisted(sellerAddress, tokenId)) {
       console.log(`Seller ${sellerAddress} with tokenId ${tokenId} is blacklisted. Skipping announcement.`);
+      recordAnnouncement('listings', kind, 'blacklisted');
       return;
     }
 
     const ethToUsdRate = await getEthToUsdConversionRate();
-    if (!ethToUsdRate) return;
 
-    const ethPriceRaw = listing.payment.quantity / (10 ** listing.payment.decimals);
+    const currency = listing.payment.symbol || 'ETH';
+    const ethPriceRaw = Number(listing.payment.quantity) / (10 ** listing.payment.decimals);
     const formattedEthPrice = formatEthPrice(ethPriceRaw);
-    const usdPrice = (ethPriceRaw * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const usdValue = await paymentTokens.usdValue(listing.payment, ethPriceRaw, ethToUsdRate);
+    const usdText = usdValue != null
+      ? ` ($${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD)`
+      : '';
+    const routePrice = await paymentTokens.ethValue(listing.payment, ethPriceRaw, ethToUsdRate);
 
     const moonCatNameOrId = nft.name;
     const rescueIndex = Number(tokenId);
     const classification = await classifyMoonCat(rescueIndex);
     const imageUrl = await getMoonCatImageURL(tokenId);
 
-    const marketplaceName = listing.protocol_address ? "OpenSea" : "Blur";
-    const listingUrl = marketplaceName === "Blur"
-      ? `https://blur.io/asset/${MOONCATS_CONTRACT_ADDRESS}/${tokenId}`
-      : nft.opensea_url;
-
-    const messageText = `${moonCatNameOrId} has just been listed for ${formattedEthPrice} ETH ($${usdPrice} USD)\n\n[ ${classification} ]`;
-
-    await sendToDiscord(tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplaceName);
+    const marketplace = resolveMarketplace({ protocolAddress: listing.protocol_address, fallback: 'opensea' });
+    const listingUrl = marketplace === MARKETPLACES.opensea && nft.opensea_url
+      ? nft.opensea_url
+      : marketplace.assetUrl(MOONCATS_CONTRACT_ADDRESS, tokenId);
+
+    const messageText = previousListing
+      ? `${moonCatNameOrId} dropped in price from ${formatEthPrice(previousListing.price)} ${currency} → ${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`
+      : `${moonCatNameOrId} has just been listed for ${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`;
+
+    const contextFields = await describeListingContext(listing, 'acclimated', MOONCATS_CONTRACT_ADDRESS, tokenId, ethPriceRaw);
+
+    const delivery = await sendToDiscord(tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplace, contextFields, {
+      kind,
+      contract: 'acclimated',
+      price: routePrice ?? 0,
+      classification,
+      vault: VAULT_ADDRESSES.includes(String(sellerAddress).toLowerCase()),
+      traits: () => getMoonCatTraits(tokenId)
+    }, previousListing ? 'Price drop' : 'Listed');
+    if (delivery) {
+      listingMessages.remember(listing.order_hash, { collection: 'acclimated', tokenId, maker: sellerAddress, ...delivery });
+    }
+    recordListingAnnounced(listing, kind, delivery?.results);
     updateBlacklist(sellerAddress, tokenId);
   }
 
-  async function announceOldWrapperListing(listing) {
+  async function announceOldWrapperListing(listing, previousListing = null) {
     const sellerAddress = listing.maker;
     const nft = listing.nft || listing.asset;
     const tokenId = nft?.identifier;
@@ -1160,71 +3926,66 @@ function runListingBot() {
       return;
     }
 
-    if (isBlacklisted(sellerAddress, tokenId)) {
+    const kind = previousListing ? 'priceDrop' : 'listing';
+
+    if (!previousListing && isBlacklisted(sellerAddress, tokenId)) {
       console.log(`Seller ${sellerAddress} with tokenId ${tokenId} is blacklisted. Skipping announcement.`);
+      recordAnnouncement('listings', kind, 'blacklisted');
       return;
     }
 
     const ethToUsdRate = await getEthToUsdConversionRate();
-    if (!ethToUsdRate) return;
 
-    const ethPriceRaw = listing.payment.quantity / (10 ** listing.payment.decimals);
+    const currency = listing.payment.symbol || 'ETH';
+    const ethPriceRaw = Number(listing.payment.quantity) / (10 ** listing.payment.decimals);
     const formattedEthPrice = formatEthPrice(ethPriceRaw);
-    const usdPrice = (ethPriceRaw * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const usdValue = await paymentTokens.usdValue(listing.payment, ethPriceRaw, ethToUsdRate);
+    const usdText = usdValue != null
+      ? ` ($${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD)`
+      : '';
+    const routePrice = await paymentTokens.ethValue(listing.payment, ethPriceRaw, ethToUsdRate);
 
-    const { imageUrl, name, realTokenIdHex, rescueIndex, isNamed } = await getOldWrapperImageAndDetails(tokenId);
+    const { imageUrl, name, realTokenIdHex, rescueIndex, isNamed, details } = await getOldWrapperImageAndDetails(tokenId);
     if (isNamed && isBlockedFullName(name)) {
       console.log(`Blacklisted name detected ("${name}"); skipping old-wrapper listing announcement.`);
+      recordAnnouncement('listings', kind, 'blacklisted');
       return;
     }
 
     if (!imageUrl || rescueIndex == null) return;
 
-    let marketplaceName = "OpenSea";
-    let listingUrl = `https://opensea.io/assets/ethereum/${OLD_WRAPPER_CONTRACT_ADDRESS}/${tokenId}`;
-    if (!listing.protocol_address || listing.protocol_address.trim() === '') {
-      marketplaceName = "Blur";
-      listingUrl = `https://blur.io/asset/${OLD_WRAPPER_CONTRACT_ADDRESS}/${tokenId}`;
-    }
+    const marketplace = resolveMarketplace({ protocolAddress: listing.protocol_address, fallback: 'opensea' });
+    const listingUrl = marketplace.assetUrl(OLD_WRAPPER_CONTRACT_ADDRESS, tokenId);
 
     const displayCatId = isNamed ? name : realTokenIdHex;
     const classification = await classifyMoonCat(rescueIndex);
 
-    const messageText =
-      `MoonCat #${rescueIndex}: ${displayCatId} wrapped as #${tokenId} has just been listed for ` +
-      `${formattedEthPrice} ETH ($${usdPrice} USD)\n\n[ ${classification} ]`;
-
-    await sendOldWrapperListingToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplaceName);
-    updateBlacklist(sellerAddress, tokenId);
-  }
-
-  async function fetchOpenSeaEvents(url, headers, label) {
-    const res = await fetch(url, { headers });
-    const text = await res.text();
-
-    let data = null;
-    try {
-      data = JSON.parse(text);
-    } catch {
-      data = null;
-    }
-
-    if (!res.ok) {
-      console.error(`[OpenSea:${label}] HTTP ${res.status} ${res.statusText} body=${text.slice(0, 500)}`);
-      return { events: [], status: res.status };
-    }
-
-    const events = data?.asset_events || data?.events || [];
-    if (!Array.isArray(events)) {
-      const keys = data ? Object.keys(data).join(",") : "null";
-      console.error(`[OpenSea:${label}] Unexpected JSON shape keys=${keys} body=${text.slice(0, 500)}`);
-      return { events: [], status: 200 };
+    const messageText = previousListing
+      ? `MoonCat #${rescueIndex}: ${displayCatId} wrapped as #${tokenId} dropped in price from ` +
+        `${formatEthPrice(previousListing.price)} ${currency} → ${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`
+      : `MoonCat #${rescueIndex}: ${displayCatId} wrapped as #${tokenId} has just been listed for ` +
+        `${formattedEthPrice} ${currency}${usdText}\n\n[ ${classification} ]`;
+
+    const contextFields = await describeListingContext(listing, 'oldWrapper', OLD_WRAPPER_CONTRACT_ADDRESS, tokenId, ethPriceRaw);
+
+    const delivery = await sendOldWrapperListingToDiscord(realTokenIdHex, rescueIndex, tokenId, messageText, imageUrl, listingUrl, sellerAddress, marketplace, contextFields, {
+      kind,
+      contract: 'oldWrapper',
+      price: routePrice ?? 0,
+      classification,
+      vault: VAULT_ADDRESSES.includes(String(sellerAddress).toLowerCase()),
+      traits: details
+    }, previousListing ? 'Price drop' : 'Listed');
+    if (delivery) {
+      listingMessages.remember(listing.order_hash, { collection: 'oldWrapper', tokenId, maker: sellerAddress, ...delivery });
     }
-
-    return { events, status: 200 };
+    recordListingAnnounced(listing, kind, delivery?.results);
+    updateBlacklist(sellerAddress, tokenId);
   }
 
-  async function fetchListingsFromOpenSea(initialRun = false) {
+  // With `sinceSec`, returns every listing after that time instead of only those after the last
+  // processed one; reconciling polls use it to cover a stream outage.
+  async function fetchListingsFromOpenSea(initialRun = false, sinceSec = null) {
     console.log('Fetching listings from OpenSea...');
     try {
       if (!OPENSEA_API_KEY) {
@@ -1232,23 +3993,37 @@ function runListingBot() {
         return { listings: [], rateLimited: false };
       }
 
-      const headers = {
-        'X-API-KEY': OPENSEA_API_KEY,
-        'Accept': 'application/json'
-      };
-
-      const openseaAPIUrlMoonCats = `https://api.opensea.io/api/v2/events/collection/acclimatedmooncats?event_type=listing&limit=50`;
-      const openseaAPIUrlOldWrapper = `https://api.opensea.io/api/v2/events/collection/wrapped-mooncatsrescue?event_type=listing&limit=50`;
+      // The first run only looks at the last hour; later runs page back to the last processed listing.
+      const ONE_HOUR_SEC = 3600;
+      const requested = sinceSec ?? lastProcessedTimestamp;
+      const resumeFrom = listingGapSince != null ? Math.min(listingGapSince, requested) : requested;
+      const since = initialRun ? Math.floor(Date.now() / 1000) - ONE_HOUR_SEC : resumeFrom;
+      const fetchCollection = (slug) => openSeaEvents.fetchEvents(`events/collection/${slug}`, {
+        eventTypes: ['listing', 'cancel'],
+        after: since || null,
+        until: event => Number(event.event_timestamp || 0) <= since,
+        maxPages: initialRun || !since ? 1 : undefined,
+        label: `${slug} listing`
+      });
 
-      const moonResp = await fetchOpenSeaEvents(openseaAPIUrlMoonCats, headers, 'acclimatedmooncats listing');
-      await new Promise(resolve => setTimeout(resolve, BETWEEN_REQUESTS_MS));
-      const wrapResp = await fetchOpenSeaEvents(openseaAPIUrlOldWrapper, headers, 'wrapped-mooncatsrescue listing');
+      const moonResp = await fetchCollection('acclimatedmooncats');
+      const wrapResp = await fetchCollection('wrapped-mooncatsrescue');
 
       const moonEvents = moonResp.events || [];
       const wrapEvents = wrapResp.events || [];
 
       const rateLimited = moonResp.status === 429 || wrapResp.status === 429;
 
+      // The first run deliberately reads a single page, so only later runs track gaps.
+      if (!initialRun && since) {
+        if (moonResp.complete && wrapResp.complete) {
+          listingGapSince = null;
+        } else {
+          listingGapSince = since;
+          console.log(`[listing] Listings since ${new Date(since * 1000).toISOString()} were not fully fetched; resuming from there next poll.`);
+        }
+      }
+
       const currentTime = Date.now();
       let listings = [];
 
@@ -1283,26 +4058,28 @@ function runListingBot() {
       } else {
         const moonCatsListings = (moonEvents || []).filter(event => {
           const isListing = isListingEvent(event);
-          return Number(event.event_timestamp || 0) > lastProcessedTimestamp && isListing;
+          return Number(event.event_timestamp || 0) > since && isListing;
         });
 
         const oldWrapperListings = (wrapEvents || []).filter(event => {
           const isListing = isListingEvent(event);
-          return Number(event.event_timestamp || 0) > lastProcessedTimestamp && isListing;
+          return Number(event.event_timestamp || 0) > since && isListing;
         });
 
         listings = [...moonCatsListings, ...oldWrapperListings];
 
         if (listings.length > 0) {
-          lastProcessedTimestamp = Math.max(...listings.map(event => Number(event.event_timestamp || 0)));
+          lastProcessedTimestamp = Math.max(lastProcessedTimestamp, ...listings.map(event => Number(event.event_timestamp || 0)));
         }
       }
 
-      console.log(`Fetched listings from OpenSea. count=${listings.length}`);
-      return { listings, rateLimited };
+      const cancellations = [...moonEvents, ...wrapEvents].filter(event => event?.event_type === 'cancel' && event.order_hash);
+
+      console.log(`Fetched listings from OpenSea. count=${listings.length} cancellations=${cancellations.length}`);
+      return { listings, cancellations, rateLimited };
     } catch (error) {
       console.error('Error fetching listings from OpenSea:', error);
-      return { listings: [], rateLimited: false };
+      return { listings: [], cancellations: [], rateLimited: false };
     }
   }
 
@@ -1314,11 +4091,13 @@ function runListingBot() {
     LISTINGS_QUEUE.sort((a, b) => (a.event_timestamp || 0) - (b.event_timestamp || 0));
 
     while (LISTINGS_QUEUE.length > 0) {
-      const listing = LISTINGS_QUEUE.shift();
+      const listing = LISTINGS_QUEUE[0];
       const orderHash = listing.order_hash;
 
       if (PROCESSED_LISTINGS.has(orderHash)) {
         console.log(`Listing already processed for orderHash: ${orderHash}`);
+        LISTINGS_QUEUE.shift();
+        persistListingState();
         continue;
       }
 
@@ -1327,89 +4106,252 @@ function runListingBot() {
         const listingContract = (nft?.contract || '').toLowerCase();
         if (!listingContract) {
           console.error('Listing event missing nft/asset contract. keys=', Object.keys(listing || {}));
+          LISTINGS_QUEUE.shift();
+          persistListingState();
           continue;
         }
 
+        const previousListing = rememberOpenListing(listing);
+        const isPriceDrop = previousListing &&
+          previousListing.symbol === (listing.payment.symbol || 'ETH') &&
+          listing.payment.quantity / (10 ** listing.payment.decimals) < previousListing.price;
+
         if (listingContract === OLD_WRAPPER_CONTRACT_ADDRESS.toLowerCase()) {
-          await announceOldWrapperListing(listing);
+          await announceOldWrapperListing(listing, isPriceDrop ? previousListing : null);
         } else if (listingContract === MOONCATS_CONTRACT_ADDRESS.toLowerCase()) {
-          await announceMoonCatListing(listing);
+          await announceMoonCatListing(listing, isPriceDrop ? previousListing : null);
         }
 
         PROCESSED_LISTINGS.add(orderHash);
 
-        if (PROCESSED_LISTINGS.size > 40) {
+        if (PROCESSED_LISTINGS.size > MAX_PROCESSED_LISTINGS) {
           const oldestProcessed = PROCESSED_LISTINGS.keys().next().value;
           PROCESSED_LISTINGS.delete(oldestProcessed);
         }
 
+        lastProcessedTimestamp = Math.max(lastProcessedTimestamp, Number(listing.event_timestamp || 0));
+        LISTINGS_QUEUE.shift();
+        persistListingState();
+
         await new Promise(resolve => setTimeout(resolve, LISTING_PROCESS_DELAY_MS));
       } catch (error) {
         console.error(`Error processing listing for orderHash: ${orderHash}`, error);
+        LISTINGS_QUEUE.shift();
+        persistListingState();
+      }
+    }
+
+    isProcessingListings = false;
+
+    if (LISTINGS_QUEUE.length > 0) {
+      setImmediate(processListingsQueue);
+    }
+  }
+
+  async function pollListingsOnce(initial, sinceSec = null) {
+    const { listings, cancellations, rateLimited: listingsRateLimited } = await fetchListingsFromOpenSea(initial, sinceSec);
+    let rateLimited = listingsRateLimited;
+    if (!rateLimited && OPENSEA_API_KEY) {
+      try {
+        rateLimited = (await pollOffers()).rateLimited;
+      } catch (error) {
+        console.error('Error polling offers from OpenSea:', error);
+      }
+    }
+
+    for (const cancellation of cancellations || []) closeListing(cancellation.order_hash, 'cancelled');
+
+    const freshListings = (listings || []).filter(listing =>
+      !PROCESSED_LISTINGS.has(listing.order_hash) &&
+      !LISTINGS_QUEUE.some(queued => queued.order_hash === listing.order_hash)
+    );
+    if (freshListings.length > 0) {
+      recordBotEvent('listings');
+      for (const listing of freshListings) {
+        listing.payment = paymentTokens.fromOpenSea(listing.payment);
+        await trackListing(listing);
+      }
+      LISTINGS_QUEUE.push(...freshListings);
+      processListingsQueue();
+    }
+    persistListingState();
+
+    if (rateLimited) {
+      openSeaRateLimitedTotal.inc();
+      consecutive429 += 1;
+      const bumped = Math.max(BASE_POLL_MS * 2, nextPollMs * 2);
+      nextPollMs = Math.min(MAX_BACKOFF_MS, bumped);
+      console.log(`OpenSea rate limited (429). backoffMs=${nextPollMs} consecutive429=${consecutive429}`);
+    } else {
+      if (consecutive429 > 0) console.log(`OpenSea recovered. Resetting poll interval to base.`);
+      consecutive429 = 0;
+      nextPollMs = BASE_POLL_MS;
+    }
+
+    if (listingMode === 'polling') {
+      clearTimeout(pollTimer);
+      pollTimer = setTimeout(() => pollListingsOnce(false), nextPollMs);
+    }
+  }
+
+  // The stream client does not expose its connection, so health is read off the WebSocket it is
+  // given as `connectOptions.transport`: open/close and phoenix heartbeat replies. Events from a
+  // replaced client's socket are ignored.
+  function trackedStreamTransport(isCurrent) {
+    return class extends StreamWebSocket {
+      constructor(...args) {
+        super(...args);
+        this.addEventListener('open', () => {
+          if (!isCurrent()) return;
+          streamHealth.connected = true;
+          streamHealth.connectedAt = Date.now();
+          streamHealth.lastHeartbeatAt = Date.now();
+        });
+        this.addEventListener('close', () => {
+          if (isCurrent()) streamHealth.connected = false;
+        });
+        this.addEventListener('message', (event) => {
+          if (!isCurrent()) return;
+          try {
+            const message = JSON.parse(String(event.data));
+            const topic = Array.isArray(message) ? message[2] : message?.topic;
+            if (topic === 'phoenix') streamHealth.lastHeartbeatAt = Date.now();
+          } catch {}
+        });
       }
+    };
+  }
+
+  function createListingStream() {
+    const client = new OpenSeaStreamClient({
+      network: Network.MAINNET,
+      token: OPENSEA_API_KEY,
+      connectOptions: { transport: trackedStreamTransport(() => client === streamClient) },
+      onError: (error) => console.error('[listing] OpenSea Stream error:', error)
+    });
+
+    const cutoffSec = Math.floor((Date.now() - 3600000) / 1000);
+
+    const handler = async (event) => {
+      markStreamEvent();
+      const normalized = normalizeStreamListingEvent(event);
+      if (!normalized) return;
+      await trackListing(normalized);
+      if (firstRun && normalized.event_timestamp < cutoffSec) return;
+      recordBotEvent('listings');
+      LISTINGS_QUEUE.push(normalized);
+      persistListingState();
+      processListingsQueue();
+    };
+
+    client.onEvents('acclimatedmooncats', [EventType.ITEM_LISTED], handler);
+    client.onEvents('wrapped-mooncatsrescue', [EventType.ITEM_LISTED], handler);
+
+    const closedHandler = (event) => {
+      markStreamEvent();
+      const orderHash = event?.payload?.order_hash || event?.payload?.orderHash;
+      if (!orderHash) return;
+      closeListing(orderHash, event.event_type === EventType.ITEM_SOLD ? 'sold' : 'cancelled');
+    };
+    client.onEvents('acclimatedmooncats', [EventType.ITEM_CANCELLED, EventType.ITEM_SOLD], closedHandler);
+    client.onEvents('wrapped-mooncatsrescue', [EventType.ITEM_CANCELLED, EventType.ITEM_SOLD], closedHandler);
+
+    for (const floorCollection of FLOOR_COLLECTIONS) {
+      client.onEvents(floorCollection.slug, [EventType.ITEM_RECEIVED_BID, EventType.COLLECTION_OFFER], (event) => {
+        markStreamEvent();
+        const offer = normalizeStreamOfferEvent(event, floorCollection);
+        if (!offer) return;
+        recordBotEvent('listings');
+        announceOffer(offer).catch(error => console.error('Error announcing offer:', error));
+      });
     }
 
-    isProcessingListings = false;
+    return client;
+  }
 
-    if (LISTINGS_QUEUE.length > 0) {
-      setImmediate(processListingsQueue);
+  function restartListingStream() {
+    const previous = streamClient;
+    streamHealth.connected = false;
+    streamClient = createListingStream();
+    try {
+      previous?.disconnect(() => console.log('[listing] Previous OpenSea Stream connection closed.'));
+    } catch (error) {
+      console.error('[listing] Error closing previous OpenSea Stream connection:', error);
     }
   }
 
-  async function pollListingsOnce(initial) {
-    const { listings, rateLimited } = await fetchListingsFromOpenSea(initial);
+  function markStreamEvent() {
+    streamHealth.lastEventAt = Date.now();
+  }
 
-    if (listings && listings.length > 0) {
-      LISTINGS_QUEUE.push(...listings);
-      processListingsQueue();
-    }
+  // Failover to polling is decided by the connection and its heartbeat replies; silence is handled
+  // separately in checkListingStream because a live socket can outlast its channel subscriptions.
+  function streamDownReason() {
+    if (!streamHealth.connected) return 'disconnected';
+    if (Date.now() - streamHealth.lastHeartbeatAt > STREAM_HEARTBEAT_TIMEOUT_MS) return 'no heartbeat reply';
+    return null;
+  }
 
-    if (rateLimited) {
-      consecutive429 += 1;
-      const bumped = Math.max(BASE_POLL_MS * 2, nextPollMs * 2);
-      nextPollMs = Math.min(MAX_BACKOFF_MS, bumped);
-      console.log(`OpenSea rate limited (429). backoffMs=${nextPollMs} consecutive429=${consecutive429}`);
-    } else {
-      if (consecutive429 > 0) console.log(`OpenSea recovered. Resetting poll interval to base.`);
-      consecutive429 = 0;
-      nextPollMs = BASE_POLL_MS;
+  // Polls everything since the given time (by default, since the stream was last known healthy) so
+  // listings missed during the gap are announced; order hashes already processed or queued are skipped.
+  function reconcileListings(sinceMs = streamHealth.lastHealthyAt) {
+    const sinceSec = Math.floor(sinceMs / 1000) - RECONCILE_MARGIN_SEC;
+    console.log(`[listing] Reconciling listings since ${new Date(sinceSec * 1000).toISOString()}.`);
+    clearTimeout(pollTimer);
+    pollListingsOnce(false, sinceSec).catch(error => console.error('[listing] Reconciling poll failed:', error));
+  }
+
+  function checkListingStream() {
+    const reason = streamDownReason();
+
+    if (reason && listingMode === 'stream') {
+      console.error(`[listing] OpenSea Stream looks down (${reason}); switching to HTTP polling.`);
+      listingMode = 'polling';
+      reconcileListings();
+      // A dropped socket is reconnected by the client itself; one without heartbeats gets a fresh client.
+      if (reason !== 'disconnected') restartListingStream();
+    } else if (!reason && listingMode === 'polling') {
+      console.log('[listing] OpenSea Stream recovered; switching back from HTTP polling.');
+      listingMode = 'stream';
+      reconcileListings();
+    } else if (!reason) {
+      // Heartbeats only prove the socket is up; a channel that stopped delivering looks the same. After
+      // STREAM_SILENCE_MS without events the quiet window is reconciled and the client resubscribes,
+      // while the bot stays in stream mode. Silence is measured from the later of the last event and
+      // the current connection.
+      const silentSince = Math.max(streamHealth.lastEventAt, streamHealth.connectedAt);
+      if (Date.now() - silentSince > STREAM_SILENCE_MS) {
+        console.error(`[listing] OpenSea Stream delivered no events for ${Math.round((Date.now() - silentSince) / 60000)} minutes; reconciling and resubscribing.`);
+        reconcileListings(silentSince);
+        streamHealth.lastEventAt = Date.now();
+        restartListingStream();
+      }
     }
 
-    setTimeout(() => pollListingsOnce(false), nextPollMs);
+    if (!reason) streamHealth.lastHealthyAt = Date.now();
   }
 
   async function monitorListings() {
     console.log('Monitoring listings...');
     if (OpenSeaStreamClient && EventType && Network && StreamWebSocket && OPENSEA_API_KEY) {
       try {
-        const client = new OpenSeaStreamClient({
-          network: Network.MAINNET,
-          token: OPENSEA_API_KEY,
-          connectOptions: { transport: StreamWebSocket }
-        });
-
-        const cutoffSec = Math.floor((Date.now() - 3600000) / 1000);
-
-        const handler = (event) => {
-          const normalized = normalizeStreamListingEvent(event);
-          if (!normalized) return;
-          if (firstRun && normalized.event_timestamp < cutoffSec) return;
-          LISTINGS_QUEUE.push(normalized);
-          processListingsQueue();
-        };
-
-        client.onEvents('acclimatedmooncats', [EventType.ITEM_LISTED], handler);
-        client.onEvents('wrapped-mooncatsrescue', [EventType.ITEM_LISTED], handler);
+        streamHealth.lastHealthyAt = Date.now();
+        streamClient = createListingStream();
 
         console.log('Listing bot is running (OpenSea Stream).');
+        listingMode = 'stream';
         firstRun = false;
+        setInterval(checkListingStream, STREAM_HEALTH_CHECK_MS);
+        setInterval(pollOffersWhileStreaming, BASE_POLL_MS);
         return;
       } catch (e) {
         console.error('Failed to start OpenSea Stream for listings:', e);
+        streamClient = null;
       }
     }
 
     console.log('Listing bot is running (HTTP polling).');
+    listingMode = 'polling';
     if (firstRun) {
       firstRun = false;
       await pollListingsOnce(true);
@@ -1418,17 +4360,31 @@ function runListingBot() {
     }
   }
 
+  if (LISTINGS_QUEUE.length > 0) {
+    console.log(`Resuming ${LISTINGS_QUEUE.length} pending listings from saved state.`);
+    processListingsQueue();
+  }
+
   monitorListings();
+
+  setInterval(expireOpenListings, EXPIRY_SWEEP_MS);
+  listingMessages.onSold(closeSoldListings);
+
+  if (OPENSEA_API_KEY) {
+    resyncFloorBook();
+    setInterval(resyncFloorBook, FLOOR_RESYNC_MS);
+  }
 }
 
 async function runNameBot() {
-  const ALCHEMY_PROJECT_ID = process.env.NAMING_ALCHEMY_PROJECT_ID;
-  const DISCORD_WEBHOOK_URL = process.env.NAMING_DISCORD_WEBHOOK_URL;
+  const rpcEndpoints = rpcEndpointsFor('NAMING');
+
+  const ethersProvider = createReadProvider(rpcEndpoints.http, 'naming');
 
   let nameWeb3;
   nameWeb3 = new Web3(
     createWeb3Provider(
-      ALCHEMY_PROJECT_ID,
+      rpcEndpoints.ws,
       () => nameWeb3,
       'naming'
     )
@@ -1445,11 +4401,70 @@ async function runNameBot() {
       ],
       "name": "CatNamed",
       "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        { "indexed": true, "name": "catId", "type": "bytes5" },
+        { "indexed": false, "name": "price", "type": "uint256" },
+        { "indexed": true, "name": "from", "type": "address" },
+        { "indexed": true, "name": "to", "type": "address" }
+      ],
+      "name": "CatAdopted",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        { "indexed": true, "name": "catId", "type": "bytes5" },
+        { "indexed": false, "name": "price", "type": "uint256" },
+        { "indexed": true, "name": "toAddress", "type": "address" }
+      ],
+      "name": "AdoptionOffered",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        { "indexed": true, "name": "catId", "type": "bytes5" }
+      ],
+      "name": "AdoptionOfferCancelled",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        { "indexed": true, "name": "catId", "type": "bytes5" },
+        { "indexed": false, "name": "price", "type": "uint256" },
+        { "indexed": true, "name": "from", "type": "address" }
+      ],
+      "name": "AdoptionRequested",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        { "indexed": true, "name": "catId", "type": "bytes5" }
+      ],
+      "name": "AdoptionRequestCancelled",
+      "type": "event"
     }
   ];
 
   const moonCatsNamingContract = new nameWeb3.eth.Contract(moonCatsNamingAbi, MOONCATS_NAMING_CONTRACT_ADDRESS);
 
+  const PROCESSED_NAMES = new Set(stateStore.get('naming', 'processedEvents', []));
+  const MAX_PROCESSED_NAMES = 200;
+
+  function markNameProcessed(eventKey) {
+    PROCESSED_NAMES.add(eventKey);
+    if (PROCESSED_NAMES.size > MAX_PROCESSED_NAMES) {
+      const oldestProcessed = PROCESSED_NAMES.keys().next().value;
+      PROCESSED_NAMES.delete(oldestProcessed);
+    }
+    stateStore.set('naming', 'processedEvents', [...PROCESSED_NAMES]);
+  }
+
   function formatCatId(catId) {
     return `0x${catId.slice(2, 12)}`;
   }
@@ -1467,7 +4482,7 @@ async function runNameBot() {
     }
   }
 
-  async function sendNameToDiscord(catId, name, imageUrl, rescueIndex, transactionHash) {
+  async function sendNameToDiscord(catId, name, imageUrl, rescueIndex, transactionHash, route) {
     console.log(`Sending naming event for catId: ${catId}, name: ${name} to Discord`);
 
     const etherScanEmoji = '<:logo_etherscan:1202580047765180498>';
@@ -1488,49 +4503,257 @@ async function runNameBot() {
       }]
     };
 
-    const response = await fetch(DISCORD_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+    const webhooks = await webhookRouter.route(route);
+    return discordDelivery.deliver(webhooks, payload, `name ${catId}`);
+  }
+
+  const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+  const WRAPPER_ADDRESSES = [
+    '0xc3f733ca98e0dad0386979eb96fb1722a1a05e69',
+    '0x7c40c393dc0f283f318791d746d894ddd3693572'
+  ];
+
+  const openAdoptionOffers = stateStore.get('adoption', 'openOffers', {});
+  const openAdoptionRequests = stateStore.get('adoption', 'openRequests', {});
 
-    if (!response.ok) throw new Error(`Error sending name event to Discord: ${response.statusText}`);
+  function persistAdoptionState() {
+    stateStore.set('adoption', 'openOffers', openAdoptionOffers);
+    stateStore.set('adoption', 'openRequests', openAdoptionRequests);
   }
 
-  moonCatsNamingContract.events.CatNamed({ fromBlock: 'latest' })
-    .on('data', async (event) => {
-      const { catId, catName } = event.returnValues;
+  async function getCatDetails(catId) {
+    console.log(`Fetching MoonCat details for catId: ${catId}`);
+    try {
+      const response = await fetch(`https://api.mooncat.community/traits/${catId}`);
+      if (!response.ok) throw new Error(`Failed to fetch MoonCat details: ${response.statusText}`);
+      const data = await response.json();
+      return data.details;
+    } catch (error) {
+      console.error('Error fetching MoonCat details:', error);
+      return null;
+    }
+  }
 
-      try {
-        const formattedCatId = formatCatId(catId);
+  async function getEthToUsdConversionRate(at = {}) {
+    return priceService.ethUsdRate({ ...at, provider: ethersProvider });
+  }
 
-        let decodedName = '';
-        try {
-          const rawName = nameWeb3.utils.hexToUtf8(catName);
-          decodedName = rawName.replace(/\u0000/g, '').trim();
-        } catch (e) {
-          console.error('Failed to decode catName bytes32 to utf8:', e);
-          return;
-        }
+  async function classifyMoonCat(rescueIndex) {
+    console.log(`Classifying MoonCat for rescueIndex: ${rescueIndex}`);
+    if (rescueIndex < 492) return 'Day 1 Rescue, 2017 Rescue';
+    if (rescueIndex < 904) return 'Day 2 Rescue, 2017 Rescue';
+    if (rescueIndex < 1569) return 'Week 1 Rescue, 2017 Rescue';
+    if (rescueIndex < 3365) return '2017 Rescue';
+    if (rescueIndex < 5684) return '2018 Rescue';
+    if (rescueIndex < 5755) return '2019 Rescue';
+    if (rescueIndex < 5758) return '2020 Rescue';
+    return '2021 Rescue';
+  }
 
-        if (isBlockedFullName(decodedName)) {
-          console.log(`Blacklisted name detected ("${decodedName}"); skipping naming announcement.`);
-          return;
-        }
+  function formatEthPrice(ethPrice) {
+    return Number(ethPrice).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+  }
+
+  async function fetchEnsName(address) {
+    console.log(`Fetching ENS name for address: ${address}`);
+    try {
+      const ensName = await ethersProvider.lookupAddress(address);
+      console.log(`Fetched ENS name for address: ${address}: ${ensName}`);
+      return ensName || address;
+    } catch (error) {
+      console.error(`Failed to fetch ENS name for address ${address}:`, error);
+      return address;
+    }
+  }
 
-        const rescueIndex = await getRescueIndex(formattedCatId);
-        if (!rescueIndex) return;
+  async function displayAddress(address) {
+    const ensNameOrAddress = await fetchEnsName(address);
+    const display = ensNameOrAddress !== address ? ensNameOrAddress : address.substring(0, 6);
+    return `[${display}](https://chainstation.mooncatrescue.com/owners/${address})`;
+  }
 
-        const imageUrl = `https://api.mooncat.community/regular-image/${rescueIndex}`;
+  async function sendAdoptionToDiscord(title, rescueIndex, messageText, imageUrl, transactionHash, route) {
+    console.log(`Sending ${title} event for MoonCat #${rescueIndex} to Discord`);
 
-        await sendNameToDiscord(formattedCatId, decodedName, imageUrl, rescueIndex, event.transactionHash);
-      } catch (error) {
-        console.error('Error handling CatNamed event:', error);
+    const etherScanEmoji = '<:logo_etherscan:1202580047765180498>';
+    const marketplace = MARKETPLACES.mooncatrescue;
+
+    const payload = {
+      username: 'mooncatbot',
+      avatar_url: 'https://i.imgur.com/ufCAV5t.gif',
+      embeds: [{
+        title,
+        url: `https://chainstation.mooncatrescue.com/mooncats/${rescueIndex}`,
+        description: messageText,
+        fields: [
+          { name: 'Marketplace', value: `${marketplace.emoji} [${marketplace.name}](${marketplace.assetUrl(MOONCATS_NAMING_CONTRACT_ADDRESS, rescueIndex)})`, inline: true },
+          { name: 'Block Explorer', value: `${etherScanEmoji} [Etherscan](https://etherscan.io/tx/${transactionHash})`, inline: true }
+        ],
+        color: 3447003,
+        image: { url: imageUrl }
+      }]
+    };
+
+    const webhooks = await webhookRouter.route(route);
+    return discordDelivery.deliver(webhooks, payload, `${title} MoonCat #${rescueIndex}`);
+  }
+
+  async function describeAdoptionCat(catId, price, kind) {
+    const formattedCatId = formatCatId(catId);
+    const details = await getCatDetails(formattedCatId);
+    if (!details || details.rescueIndex == null) return null;
+
+    const displayName = details.name || formattedCatId;
+    if (isBlockedFullName(displayName)) {
+      console.log(`Blacklisted name detected ("${displayName}"); skipping adoption market announcement.`);
+      recordAnnouncement('naming', kind, 'blacklisted');
+      return null;
+    }
+
+    const ethPrice = Number(nameWeb3.utils.fromWei(price.toString(), 'ether'));
+    const ethToUsdRate = await getEthToUsdConversionRate();
+    const usdText = ethToUsdRate
+      ? ` ($${(ethPrice * ethToUsdRate).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })})`
+      : '';
+    const classification = await classifyMoonCat(details.rescueIndex);
+
+    return {
+      rescueIndex: details.rescueIndex,
+      label: `MoonCat #${details.rescueIndex}: ${displayName}`,
+      priceText: `${formatEthPrice(ethPrice)} ETH${usdText}`,
+      classification,
+      route: { contract: 'rescue', price: ethPrice, classification, vault: false, traits: details },
+      imageUrl: `https://api.mooncat.community/regular-image/${details.rescueIndex}`
+    };
+  }
+
+  const isWrapperAddress = (address) => WRAPPER_ADDRESSES.includes(String(address).toLowerCase());
+
+  subscribeWithCatchUp(() => nameWeb3, 'naming', moonCatsNamingContract, 'CatNamed', 'catNamed', async (event) => {
+    const { catId, catName } = event.returnValues;
+    const eventKey = `${event.transactionHash}:${event.logIndex}`;
+    if (PROCESSED_NAMES.has(eventKey)) {
+      console.log(`CatNamed event already processed: ${eventKey}`);
+      return;
+    }
+
+    try {
+      const formattedCatId = formatCatId(catId);
+
+      let decodedName = '';
+      try {
+        const rawName = nameWeb3.utils.hexToUtf8(catName);
+        decodedName = rawName.replace(/\u0000/g, '').trim();
+      } catch (e) {
+        console.error('Failed to decode catName bytes32 to utf8:', e);
+        return;
       }
-    })
-    .on('error', (error) => {
-      console.error('Error receiving CatNamed event:', error);
-    });
+
+      if (isBlockedFullName(decodedName)) {
+        console.log(`Blacklisted name detected ("${decodedName}"); skipping naming announcement.`);
+        recordAnnouncement('naming', 'name', 'blacklisted');
+        return;
+      }
+
+      const rescueIndex = await getRescueIndex(formattedCatId);
+      if (!rescueIndex) return;
+
+      const imageUrl = `https://api.mooncat.community/regular-image/${rescueIndex}`;
+
+      const results = await sendNameToDiscord(formattedCatId, decodedName, imageUrl, rescueIndex, event.transactionHash, {
+        kind: 'name',
+        contract: 'rescue',
+        price: null,
+        classification: await classifyMoonCat(rescueIndex),
+        vault: false,
+        traits: () => getCatDetails(formattedCatId)
+      });
+      recordAnnouncement('naming', 'name', deliveryOutcome(results));
+      markNameProcessed(eventKey);
+    } catch (error) {
+      console.error('Error handling CatNamed event:', error);
+    }
+  });
+
+  subscribeWithCatchUp(() => nameWeb3, 'naming', moonCatsNamingContract, 'CatAdopted', 'catAdopted', async (event) => {
+    const { catId, price, from, to } = event.returnValues;
+    const formattedCatId = formatCatId(catId);
+    delete openAdoptionOffers[formattedCatId];
+    delete openAdoptionRequests[formattedCatId];
+    persistAdoptionState();
+
+    if (isWrapperAddress(from) || isWrapperAddress(to) || BigInt(price) === 0n) {
+      console.log(`Skipping CatAdopted for ${formattedCatId}: wrap/unwrap or zero-price transfer.`);
+      return;
+    }
+
+    try {
+      const cat = await describeAdoptionCat(catId, price, 'adoption');
+      if (!cat) return;
+
+      const messageText = `${cat.label} found a new home with ${await displayAddress(to)} for ${cat.priceText}\n\n[ ${cat.classification} ]`;
+      const results = await sendAdoptionToDiscord('Adopted', cat.rescueIndex, messageText, cat.imageUrl, event.transactionHash, { ...cat.route, kind: 'adoption' });
+      recordAnnouncement('naming', 'adoption', deliveryOutcome(results));
+    } catch (error) {
+      console.error('Error handling CatAdopted event:', error);
+    }
+  });
+
+  subscribeWithCatchUp(() => nameWeb3, 'naming', moonCatsNamingContract, 'AdoptionOffered', 'adoptionOffered', async (event) => {
+    const { catId, price, toAddress } = event.returnValues;
+    const formattedCatId = formatCatId(catId);
+    openAdoptionOffers[formattedCatId] = { price: price.toString(), toAddress: toAddress.toLowerCase(), transactionHash: event.transactionHash };
+    persistAdoptionState();
+
+    if (isWrapperAddress(toAddress)) {
+      console.log(`Skipping AdoptionOffered for ${formattedCatId}: offered to a wrapper contract.`);
+      return;
+    }
+
+    try {
+      const cat = await describeAdoptionCat(catId, price, 'adoptionOffer');
+      if (!cat) return;
+
+      const recipient = toAddress.toLowerCase() === ZERO_ADDRESS ? '' : ` to ${await displayAddress(toAddress)}`;
+      const messageText = `${cat.label} has been offered for adoption${recipient} for ${cat.priceText}\n\n[ ${cat.classification} ]`;
+      const results = await sendAdoptionToDiscord('Offered for adoption', cat.rescueIndex, messageText, cat.imageUrl, event.transactionHash, { ...cat.route, kind: 'adoptionOffer' });
+      recordAnnouncement('naming', 'adoptionOffer', deliveryOutcome(results));
+    } catch (error) {
+      console.error('Error handling AdoptionOffered event:', error);
+    }
+  });
+
+  subscribeWithCatchUp(() => nameWeb3, 'naming', moonCatsNamingContract, 'AdoptionRequested', 'adoptionRequested', async (event) => {
+    const { catId, price, from } = event.returnValues;
+    const formattedCatId = formatCatId(catId);
+    openAdoptionRequests[formattedCatId] = { price: price.toString(), from: from.toLowerCase(), transactionHash: event.transactionHash };
+    persistAdoptionState();
+
+    try {
+      const cat = await describeAdoptionCat(catId, price, 'adoptionRequest');
+      if (!cat) return;
+
+      const messageText = `${await displayAddress(from)} has requested to adopt ${cat.label} for ${cat.priceText}\n\n[ ${cat.classification} ]`;
+      const results = await sendAdoptionToDiscord('Adoption requested', cat.rescueIndex, messageText, cat.imageUrl, event.transactionHash, { ...cat.route, kind: 'adoptionRequest' });
+      recordAnnouncement('naming', 'adoptionRequest', deliveryOutcome(results));
+    } catch (error) {
+      console.error('Error handling AdoptionRequested event:', error);
+    }
+  });
+
+  subscribeWithCatchUp(() => nameWeb3, 'naming', moonCatsNamingContract, 'AdoptionOfferCancelled', 'adoptionOfferCancelled', (event) => {
+    const formattedCatId = formatCatId(event.returnValues.catId);
+    console.log(`Adoption offer cancelled for catId: ${formattedCatId}`);
+    delete openAdoptionOffers[formattedCatId];
+    persistAdoptionState();
+  });
+
+  subscribeWithCatchUp(() => nameWeb3, 'naming', moonCatsNamingContract, 'AdoptionRequestCancelled', 'adoptionRequestCancelled', (event) => {
+    const formattedCatId = formatCatId(event.returnValues.catId);
+    console.log(`Adoption request cancelled for catId: ${formattedCatId}`);
+    delete openAdoptionRequests[formattedCatId];
+    persistAdoptionState();
+  });
 
   console.log('Name bot is running.');
 }
@@ -1539,7 +4762,228 @@ runSalesBot();
 runListingBot();
 runNameBot();
 
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return res.status(404).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set).' });
+  const expected = Buffer.from(`Bearer ${adminToken}`);
+  const provided = Buffer.from(req.get('authorization') || '');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+app.get('/admin/dead-letters', requireAdmin, (req, res) => {
+  res.json(discordDelivery.listDeadLetters());
+});
+
+app.post('/admin/dead-letters/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const result = await discordDelivery.replayDeadLetter(req.params.id);
+    if (!result) return res.status(404).json({ error: 'Dead letter not found' });
+    res.json({ ok: result.ok, status: result.status, error: result.error || null });
+  } catch (error) {
+    console.error(`Error replaying dead letter ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/admin/dead-letters/:id', requireAdmin, (req, res) => {
+  if (!discordDelivery.discardDeadLetter(req.params.id)) return res.status(404).json({ error: 'Dead letter not found' });
+  res.json({ ok: true });
+});
+
+function collectStatus() {
+  const providers = {};
+  for (const [label, getStatus] of Object.entries(web3ProviderStatus)) providers[label] = getStatus();
+
+  const bots = {};
+  for (const [name, reporter] of Object.entries(statusReporters)) {
+    try {
+      bots[name] = reporter();
+    } catch (error) {
+      bots[name] = { error: error.message };
+    }
+  }
+
+  return {
+    uptimeSec: Math.round(process.uptime()),
+    providers,
+    bots,
+    discord: discordDelivery.stats(),
+    floors: floorTracker.floors(),
+    ethUsd: priceService.stats(),
+    opensea: openSea.stats(),
+    lastEventAt: { ...botLastEventAt }
+  };
+}
+
+app.get('/healthz', (req, res) => {
+  const exhausted = Object.entries(web3ProviderStatus)
+    .filter(([, getStatus]) => getStatus().exhausted)
+    .map(([label]) => label);
+  if (exhausted.length > 0) return res.status(503).json({ ok: false, exhausted });
+  res.json({ ok: true });
+});
+
+// Providers without any websocket endpoint never connect by design, so they don't hold readiness back.
+app.get('/readyz', (req, res) => {
+  const disconnected = Object.entries(web3ProviderStatus)
+    .filter(([, getStatus]) => {
+      const status = getStatus();
+      return status.configured && !status.connected;
+    })
+    .map(([label]) => label);
+  if (disconnected.length > 0) return res.status(503).json({ ready: false, disconnected });
+  res.json({ ready: true });
+});
+
+app.get('/status', (req, res) => {
+  res.json(collectStatus());
+});
+
+metrics.gauge('mooncatbot_queue_depth', 'Items currently waiting in each internal queue.', () => {
+  const { bots, discord } = collectStatus();
+  const samples = [];
+  for (const [state, value] of Object.entries(bots.sales?.queues?.transactions || {})) {
+    samples.push({ labels: { queue: 'sales_transactions', state }, value });
+  }
+  if (bots.listings?.queues) samples.push({ labels: { queue: 'listings' }, value: bots.listings.queues.listings });
+  samples.push({ labels: { queue: 'discord' }, value: Object.values(discord.pending).reduce((total, count) => total + count, 0) });
+  samples.push({ labels: { queue: 'discord_dead_letters' }, value: discord.deadLetters });
+  return samples;
+});
+
+metrics.gauge('mooncatbot_provider_connected', 'Whether each websocket provider is connected (1) or not (0).', () =>
+  Object.entries(web3ProviderStatus).map(([provider, getStatus]) => ({ labels: { provider }, value: getStatus().connected ? 1 : 0 }))
+);
+
+metrics.gauge('mooncatbot_provider_retry_count', 'Current reconnection attempt count for each websocket provider.', () =>
+  Object.entries(web3ProviderStatus).map(([provider, getStatus]) => ({ labels: { provider }, value: getStatus().retryCount }))
+);
+
+metrics.gauge('mooncatbot_opensea_poll_backoff_seconds', 'Current OpenSea listing poll interval (0 when streaming).', () => {
+  const listings = statusReporters.listings?.();
+  return listings ? [{ value: (listings.pollBackoffMs || 0) / 1000 }] : [];
+});
+
+metrics.gauge('mooncatbot_floor_price_eth', 'Current tracked floor price in ETH by collection (and classification bucket when enabled).', () =>
+  Object.entries(floorTracker.floors()).map(([scope, floor]) => ({ labels: { scope }, value: floor.price }))
+);
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function verifyDiscordSignature(publicKeyHex, signatureHex, timestamp, rawBody) {
+  if (!signatureHex || !timestamp || !rawBody) return false;
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), publicKey, Buffer.from(signatureHex, 'hex'));
+  } catch (error) {
+    console.error('[interactions] Failed to verify request signature:', error.message);
+    return false;
+  }
+}
+
+async function syncInteractionCommands() {
+  const botToken = process.env.DISCORD_BOT_TOKEN;
+  const applicationId = process.env.DISCORD_APPLICATION_ID;
+  if (!botToken || !applicationId) return;
+
+  const guildId = process.env.DISCORD_GUILD_ID;
+  const url = guildId
+    ? `https://discord.com/api/v10/applications/${applicationId}/guilds/${guildId}/commands`
+    : `https://discord.com/api/v10/applications/${applicationId}/commands`;
+  try {
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Authorization': `Bot ${botToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.values(interactionCommands).map(command => command.definition))
+    });
+    if (!response.ok) throw new Error(`Discord responded with status ${response.status}: ${await response.text()}`);
+    console.log(`[interactions] Registered ${Object.keys(interactionCommands).length} slash command(s).`);
+  } catch (error) {
+    console.error('[interactions] Failed to register slash commands:', error);
+  }
+}
+
+// Interaction tokens expire 15 minutes after the command, so the deferred reply is sent directly with a
+// single retry (after Discord's retry_after on a 429) instead of through the webhook delivery queue,
+// whose backoff and dead letters would only replay it once the token is dead.
+async function editInteractionReply(interaction, reply, label) {
+  const url = `https://discord.com/api/v10/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`;
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    let retryAfterMs = 1000;
+    try {
+      const response = await fetch(url, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...reply, allowed_mentions: { parse: [] } })
+      });
+      if (response.ok) return true;
+
+      const text = await response.text();
+      if (response.status === 429) {
+        let retryAfterSec = Number(response.headers.get('retry-after') || 1);
+        try {
+          retryAfterSec = Number(JSON.parse(text).retry_after ?? retryAfterSec);
+        } catch {}
+        retryAfterMs = Math.ceil(retryAfterSec * 1000);
+      } else if (response.status < 500) {
+        console.error(`[interactions] Discord rejected the ${label} with status ${response.status}: ${text}`);
+        return false;
+      }
+      console.error(`[interactions] Sending the ${label} failed with status ${response.status} (attempt ${attempt}).`);
+    } catch (error) {
+      console.error(`[interactions] Network error sending the ${label} (attempt ${attempt}):`, error.message);
+    }
+    if (attempt < 2) await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+  }
+  return false;
+}
+
+app.post('/interactions', async (req, res) => {
+  const publicKey = process.env.DISCORD_PUBLIC_KEY;
+  if (!publicKey) return res.status(404).json({ error: 'Interactions are disabled (DISCORD_PUBLIC_KEY not set).' });
+
+  const signature = req.get('x-signature-ed25519');
+  const timestamp = req.get('x-signature-timestamp');
+  if (!verifyDiscordSignature(publicKey, signature, timestamp, req.rawBody)) {
+    return res.status(401).send('invalid request signature');
+  }
+
+  const interaction = req.body;
+  if (interaction.type === 1) return res.json({ type: 1 });
+  if (interaction.type !== 2) return res.status(400).json({ error: 'Unsupported interaction type' });
+
+  const commandName = interaction.data?.name;
+  const command = interactionCommands[commandName];
+  if (!command) return res.json({ type: 4, data: { content: 'Unknown command.', flags: 64 } });
+
+  // Lookups can take longer than Discord's 3 second window, so defer and edit the reply afterwards.
+  res.json({ type: 5 });
+
+  const options = Object.fromEntries((interaction.data.options || []).map(option => [option.name, option.value]));
+  let reply;
+  try {
+    reply = await command.handler(options);
+  } catch (error) {
+    console.error(`[interactions] Error handling /${commandName}:`, error);
+    reply = { content: 'Something went wrong looking that up, please try again later.' };
+  }
+
+  await editInteractionReply(interaction, reply, `/${commandName} reply`);
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Bot is running on port ${PORT}`);
+  syncInteractionCommands();
 });
@@ -0,0 +1,318 @@
+import { ethers } from 'ethers';
+
+// Decodes a MoonCat sale from its transaction receipt: marketplace, seller, buyer and payment.
+// `paymentTokens` is the registry used to resolve the currency the sale was paid in.
+export function createSaleDecoder(provider, paymentTokens) {
+  const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+  const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+  const seaportInterface = new ethers.Interface([
+    'event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, tuple(uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, tuple(uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)'
+  ]);
+
+  const blurInterface = new ethers.Interface([
+    'event OrdersMatched(address indexed maker, address indexed taker, tuple(address trader, uint8 side, address matchingPolicy, address collection, uint256 tokenId, uint256 amount, address paymentToken, uint256 price, uint256 listingTime, uint256 expirationTime, tuple(uint16 rate, address recipient)[] fees, uint256 salt, bytes extraParams) sell, bytes32 sellHash, tuple(address trader, uint8 side, address matchingPolicy, address collection, uint256 tokenId, uint256 amount, address paymentToken, uint256 price, uint256 listingTime, uint256 expirationTime, tuple(uint16 rate, address recipient)[] fees, uint256 salt, bytes extraParams) buy, bytes32 buyHash)'
+  ]);
+
+  const blurV2Interface = new ethers.Interface([
+    'event Execution721Packed(bytes32 orderHash, uint256 tokenIdListingIndexTrader, uint256 collectionPriceSide)',
+    'event Execution721TakerFeePacked(bytes32 orderHash, uint256 tokenIdListingIndexTrader, uint256 collectionPriceSide, uint256 takerFeeRecipientRate)',
+    'event Execution721MakerFeePacked(bytes32 orderHash, uint256 tokenIdListingIndexTrader, uint256 collectionPriceSide, uint256 makerFeeRecipientRate)'
+  ]);
+
+  const blendInterface = new ethers.Interface([
+    'event BuyLocked(uint256 lienId, address collection, address buyer, address seller, uint256 tokenId)'
+  ]);
+
+  const sudoswapInterface = new ethers.Interface([
+    'event SwapNFTInPair(uint256 amountOut, uint256[] ids)',
+    'event SwapNFTOutPair(uint256 amountIn, uint256[] ids)'
+  ]);
+  const SUDOSWAP_V1_TOPICS = [ethers.id('SwapNFTInPair()'), ethers.id('SwapNFTOutPair()')];
+
+  const looksRareV1Interface = new ethers.Interface([
+    'event TakerBid(bytes32 orderHash, uint256 orderNonce, address indexed taker, address indexed maker, address indexed strategy, address currency, address collection, uint256 tokenId, uint256 amount, uint256 price)',
+    'event TakerAsk(bytes32 orderHash, uint256 orderNonce, address indexed taker, address indexed maker, address indexed strategy, address currency, address collection, uint256 tokenId, uint256 amount, uint256 price)'
+  ]);
+
+  const looksRareV2Interface = new ethers.Interface([
+    'event TakerBid(tuple(bytes32 orderHash, uint256 orderNonce, bool isNonceInvalidated) nonceInvalidationParameters, address bidUser, address bidRecipient, uint256 strategyId, address currency, address collection, uint256[] itemIds, uint256[] amounts, address[2] feeRecipients, uint256[3] feeAmounts)',
+    'event TakerAsk(tuple(bytes32 orderHash, uint256 orderNonce, bool isNonceInvalidated) nonceInvalidationParameters, address askUser, address bidUser, uint256 strategyId, address currency, address collection, uint256[] itemIds, uint256[] amounts, address[2] feeRecipients, uint256[3] feeAmounts)'
+  ]);
+
+  const x2y2Interface = new ethers.Interface([
+    'event EvInventory(bytes32 indexed itemHash, address maker, address taker, uint256 orderSalt, uint256 settleSalt, uint256 intent, uint256 delegateType, uint256 deadline, address currency, bytes dataMask, tuple(uint256 price, bytes data) item, tuple(uint8 op, uint256 orderIdx, uint256 itemIdx, uint256 price, bytes32 itemHash, address executionDelegate, bytes dataReplacement, uint256 bidIncentivePct, uint256 aucMinIncrementPct, uint256 aucIncDurationSecs, tuple(uint256 percentage, address to)[] fees) detail)'
+  ]);
+
+  const lower = (value) => String(value).toLowerCase();
+  // Seaport matched orders report a zero recipient, so the zero address counts as missing.
+  const isMissingAddress = (address) => !address || lower(address) === ZERO_ADDRESS;
+  const sameToken = (collection, tokenId, contractAddress, targetTokenId) =>
+    lower(collection) === lower(contractAddress) && BigInt(tokenId) === BigInt(targetTokenId);
+
+  // ERC-20 Transfers index from and to but not the amount; ERC-721 Transfers also index the token id.
+  const isErc20Transfer = (log) => log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3;
+  const transferSender = (log) => lower(ethers.dataSlice(log.topics[1], 12));
+  const transferRecipient = (log) => lower(ethers.dataSlice(log.topics[2], 12));
+
+  function parseWith(iface, log) {
+    try {
+      return iface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+      return null;
+    }
+  }
+
+  async function buildPayment(currencyAddress, amount) {
+    const token = await paymentTokens.resolve(currencyAddress, provider);
+    if (!token) return null;
+    return { ...token, quantity: amount.toString() };
+  }
+
+  function decodeSeaport(log, contractAddress, tokenId) {
+    const parsed = parseWith(seaportInterface, log);
+    if (!parsed) return null;
+
+    const { offerer, recipient, offer, consideration } = parsed.args;
+    const isNft = (item) => [2n, 4n].includes(BigInt(item.itemType)) && sameToken(item.token, item.identifier, contractAddress, tokenId);
+    const isPayment = (item) => [0n, 1n].includes(BigInt(item.itemType));
+    const sumPayments = (items) => {
+      const payments = items.filter(isPayment);
+      if (payments.length === 0) return null;
+      const currency = payments[0].token;
+      if (payments.some(item => lower(item.token) !== lower(currency))) return null;
+      return { currency, amount: payments.reduce((total, item) => total + BigInt(item.amount), 0n) };
+    };
+
+    if (offer.some(isNft)) {
+      const paid = sumPayments(consideration);
+      if (!paid) return null;
+      return { venue: 'OpenSea', seller: offerer, buyer: recipient, ...paid };
+    }
+
+    if (consideration.some(isNft)) {
+      const paid = sumPayments(offer);
+      if (!paid) return null;
+      return { venue: 'OpenSea', seller: recipient, buyer: offerer, ...paid };
+    }
+
+    return null;
+  }
+
+  function decodeBlur(log, contractAddress, tokenId) {
+    const parsed = parseWith(blurInterface, log);
+    if (parsed) {
+      const { sell, buy } = parsed.args;
+      if (!sameToken(sell.collection, sell.tokenId, contractAddress, tokenId)) return null;
+      return { venue: 'Blur', seller: sell.trader, buyer: buy.trader, currency: sell.paymentToken, amount: BigInt(sell.price) };
+    }
+
+    const packed = parseWith(blurV2Interface, log);
+    if (!packed) return null;
+
+    const mask160 = (1n << 160n) - 1n;
+    const tokenIdListingIndexTrader = BigInt(packed.args.tokenIdListingIndexTrader);
+    const collectionPriceSide = BigInt(packed.args.collectionPriceSide);
+    const trader = ethers.getAddress(ethers.toBeHex(tokenIdListingIndexTrader & mask160, 20));
+    const packedTokenId = tokenIdListingIndexTrader >> 168n;
+    const collection = ethers.toBeHex(collectionPriceSide & mask160, 20);
+    const price = (collectionPriceSide >> 160n) & ((1n << 88n) - 1n);
+    const isBid = (collectionPriceSide >> 248n) === 1n;
+
+    if (!sameToken(collection, packedTokenId, contractAddress, tokenId)) return null;
+
+    return {
+      venue: 'Blur',
+      seller: isBid ? null : trader,
+      buyer: isBid ? trader : null,
+      currency: isBid ? '0x0000000000a39bb272e79075ade125fd351887ac' : ZERO_ADDRESS,
+      amount: price
+    };
+  }
+
+  function decodeLooksRare(log, contractAddress, tokenId) {
+    const v1 = parseWith(looksRareV1Interface, log);
+    if (v1) {
+      const { taker, maker, currency, collection, price } = v1.args;
+      if (!sameToken(collection, v1.args.tokenId, contractAddress, tokenId)) return null;
+      const isTakerBid = v1.name === 'TakerBid';
+      return {
+        venue: 'LooksRare',
+        seller: isTakerBid ? maker : taker,
+        buyer: isTakerBid ? taker : maker,
+        currency,
+        amount: BigInt(price)
+      };
+    }
+
+    const v2 = parseWith(looksRareV2Interface, log);
+    if (!v2) return null;
+
+    const { currency, collection, itemIds, feeRecipients, feeAmounts } = v2.args;
+    if (lower(collection) !== lower(contractAddress)) return null;
+    if (itemIds.length !== 1 || BigInt(itemIds[0]) !== BigInt(tokenId)) return null;
+
+    const amount = feeAmounts.reduce((total, fee) => total + BigInt(fee), 0n);
+    if (v2.name === 'TakerBid') {
+      return { venue: 'LooksRare', seller: feeRecipients[0], buyer: v2.args.bidRecipient, currency, amount };
+    }
+    return { venue: 'LooksRare', seller: v2.args.askUser, buyer: v2.args.bidUser, currency, amount };
+  }
+
+  function decodeX2Y2(log, contractAddress, tokenId) {
+    const parsed = parseWith(x2y2Interface, log);
+    if (!parsed) return null;
+
+    const { maker, taker, intent, currency, item, detail } = parsed.args;
+    let pairs;
+    try {
+      [pairs] = ethers.AbiCoder.defaultAbiCoder().decode(['tuple(address token, uint256 tokenId)[]'], item.data);
+    } catch {
+      return null;
+    }
+
+    if (pairs.length !== 1 || !sameToken(pairs[0].token, pairs[0].tokenId, contractAddress, tokenId)) return null;
+
+    const isBuyIntent = BigInt(intent) === 3n;
+    return {
+      venue: 'X2Y2',
+      seller: isBuyIntent ? taker : maker,
+      buyer: isBuyIntent ? maker : taker,
+      currency,
+      amount: BigInt(detail.price)
+    };
+  }
+
+  // Sudoswap pairs trade either ETH or a single ERC-20; an ERC-20 pair shows up as a token Transfer
+  // into or out of the pair contract in the same receipt.
+  function decodeSudoswap(log, receipt, contractAddress, tokenId, transferFrom, transferTo) {
+    const parsed = parseWith(sudoswapInterface, log);
+    if (!parsed) return null;
+
+    const { ids } = parsed.args;
+    if (ids.length !== 1 || BigInt(ids[0]) !== BigInt(tokenId)) return null;
+    const pair = lower(log.address);
+    if (pair !== transferFrom && pair !== transferTo) return null;
+
+    const tokenLeg = receipt.logs.find(transfer =>
+      isErc20Transfer(transfer) && (transferSender(transfer) === pair || transferRecipient(transfer) === pair)
+    );
+    const amount = parsed.name === 'SwapNFTInPair' ? parsed.args.amountOut : parsed.args.amountIn;
+    return { venue: 'Sudoswap', currency: tokenLeg ? tokenLeg.address : ZERO_ADDRESS, amount: BigInt(amount) };
+  }
+
+  function detectVenueHint(receipt, contractAddress, tokenId) {
+    for (const log of receipt.logs) {
+      const blend = parseWith(blendInterface, log);
+      if (blend && sameToken(blend.args.collection, blend.args.tokenId, contractAddress, tokenId)) return 'Blend';
+      if (SUDOSWAP_V1_TOPICS.includes(log.topics[0])) return 'Sudoswap';
+    }
+    return null;
+  }
+
+  // Without a marketplace event the payment is inferred from token movements, so only the registry's
+  // built-in currencies count; any other token moved in the same transaction (airdrops, fee tokens,
+  // multicalls) would otherwise turn a gift into a sale.
+  function decodeValueFlow(receipt, transaction, buyer, seller) {
+    const erc20Transfers = receipt.logs.filter(log => isErc20Transfer(log) && paymentTokens.isKnown(log.address));
+
+    const sumTransfers = (transfers) => {
+      if (transfers.length === 0) return null;
+      const currency = transfers[0].address;
+      if (transfers.some(log => lower(log.address) !== lower(currency))) return null;
+      return { currency, amount: transfers.reduce((total, log) => total + BigInt(log.data), 0n) };
+    };
+
+    const paidByBuyer = sumTransfers(erc20Transfers.filter(log => transferSender(log) === lower(buyer)));
+    if (paidByBuyer) return paidByBuyer;
+
+    const paidToSeller = sumTransfers(erc20Transfers.filter(log => transferRecipient(log) === lower(seller)));
+    if (paidToSeller) return paidToSeller;
+
+    if (transaction && transaction.value > 0n && lower(transaction.from) === lower(buyer)) {
+      return { currency: ZERO_ADDRESS, amount: BigInt(transaction.value) };
+    }
+
+    return null;
+  }
+
+  async function decodeSale(transactionHash, contractAddress, tokenId) {
+    console.log(`Decoding sale from receipt for tokenId: ${tokenId} tx: ${transactionHash}`);
+    try {
+      const receipt = await provider.getTransactionReceipt(transactionHash);
+      if (!receipt || receipt.status !== 1) return null;
+
+      const nftTransfers = receipt.logs.filter(log => log.topics[0] === TRANSFER_TOPIC && log.topics.length === 4);
+      const tokenTransfers = nftTransfers.filter(log =>
+        lower(log.address) === lower(contractAddress) && BigInt(log.topics[3]) === BigInt(tokenId)
+      );
+      if (tokenTransfers.length === 0) return null;
+
+      // The first hop is the seller, the last hop is the final owner (aggregators route through themselves).
+      const transferFrom = lower(ethers.dataSlice(tokenTransfers[0].topics[1], 12));
+      const transferTo = lower(ethers.dataSlice(tokenTransfers[tokenTransfers.length - 1].topics[2], 12));
+      if (transferFrom === ZERO_ADDRESS || transferTo === ZERO_ADDRESS) return null;
+
+      let decoded = null;
+      for (const log of receipt.logs) {
+        decoded =
+          decodeSeaport(log, contractAddress, tokenId) ||
+          decodeBlur(log, contractAddress, tokenId) ||
+          decodeLooksRare(log, contractAddress, tokenId) ||
+          decodeX2Y2(log, contractAddress, tokenId) ||
+          decodeSudoswap(log, receipt, contractAddress, tokenId, transferFrom, transferTo);
+        if (decoded) {
+          decoded.protocolAddress = lower(log.address);
+          break;
+        }
+      }
+
+      if (!decoded) {
+        const venueHint = detectVenueHint(receipt, contractAddress, tokenId);
+        if (venueHint !== 'Blend' && nftTransfers.length !== 1) {
+          console.log(`Transaction ${transactionHash} moves several NFTs without a known marketplace event, cannot attribute price.`);
+          return null;
+        }
+
+        const transaction = await provider.getTransaction(transactionHash);
+        const flow = decodeValueFlow(receipt, transaction, transferTo, transferFrom);
+        if (!flow) return null;
+
+        decoded = {
+          venue: venueHint,
+          seller: transferFrom,
+          buyer: transferTo,
+          protocolAddress: lower(transaction?.to || ''),
+          ...flow
+        };
+      }
+
+      const payment = await buildPayment(decoded.currency, decoded.amount);
+      if (!payment || decoded.amount === 0n) {
+        console.log(`Unsupported or empty payment for tokenId: ${tokenId} tx: ${transactionHash}`);
+        return null;
+      }
+
+      const ethPrice = Number(ethers.formatUnits(decoded.amount, payment.decimals));
+      console.log(`Decoded ${decoded.venue || 'direct'} sale for tokenId: ${tokenId}: ${ethPrice} ${payment.symbol}`);
+
+      return {
+        tokenId,
+        ethPrice,
+        transactionUrl: `https://etherscan.io/tx/${transactionHash}`,
+        payment,
+        fromAddress: isMissingAddress(decoded.seller) ? transferFrom : lower(decoded.seller),
+        toAddress: transferTo,
+        protocolAddress: decoded.protocolAddress,
+        venue: decoded.venue,
+        saleSellerAddress: transferFrom,
+        contractAddress
+      };
+    } catch (error) {
+      console.error(`Error decoding sale from receipt for tokenId: ${tokenId} tx: ${transactionHash}`, error);
+      return null;
+    }
+  }
+
+  return { decodeSale };
+}
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createSaleDecoder } from '../saleDecoder.mjs';
+
+const MOONCATS = '0xc3f733ca98e0dad0386979eb96fb1722a1a05e69';
+const SEAPORT = '0x00000000000000adc04c56bf30ac9d3c0aaf14dc';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const SUDOSWAP_PAIR = '0x3333333333333333333333333333333333333333';
+const SELLER = '0x1111111111111111111111111111111111111111';
+const BUYER = '0x2222222222222222222222222222222222222222';
+const TOKEN_ID = 42n;
+
+const seaport = new ethers.Interface([
+  'event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, tuple(uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, tuple(uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)'
+]);
+const sudoswap = new ethers.Interface([
+  'event SwapNFTOutPair(uint256 amountIn, uint256[] ids)'
+]);
+const erc721 = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+]);
+const erc20 = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+const TOKENS = {
+  [ethers.ZeroAddress]: { symbol: 'ETH', decimals: 18, pricing: 'eth' },
+  [WETH]: { symbol: 'WETH', decimals: 18, pricing: 'eth' },
+  [USDC]: { symbol: 'USDC', decimals: 6, pricing: 'usd' }
+};
+
+function log(address, iface, name, values) {
+  const { data, topics } = iface.encodeEventLog(iface.getEvent(name), values);
+  return { address, data, topics };
+}
+
+function decoderFor(logs) {
+  const provider = {
+    getTransactionReceipt: async () => ({ status: 1, logs }),
+    getTransaction: async () => null
+  };
+  const paymentTokens = {
+    // Like the real registry, unknown ERC-20s are "discovered" rather than rejected.
+    resolve: async (address) => ({ address: address.toLowerCase(), ...(TOKENS[address.toLowerCase()] || { symbol: 'TKN', decimals: 18, pricing: 'market' }) }),
+    isKnown: (address) => Boolean(TOKENS[address.toLowerCase()])
+  };
+  return createSaleDecoder(provider, paymentTokens);
+}
+
+test('matched Seaport orders attribute the sale to the Transfer sender, not the zero recipient', async () => {
+  const price = ethers.parseEther('1.5');
+  const nft = { itemType: 2, token: MOONCATS, identifier: TOKEN_ID, amount: 1n };
+  const weth = { itemType: 1, token: WETH, identifier: 0n, amount: price };
+
+  const decoder = decoderFor([
+    // The bid side of matchOrders is logged first: the buyer offers WETH for the cat, recipient is zero.
+    log(SEAPORT, seaport, 'OrderFulfilled', [ethers.ZeroHash, BUYER, ethers.ZeroAddress, ethers.ZeroAddress, [weth], [{ ...nft, recipient: BUYER }]]),
+    log(SEAPORT, seaport, 'OrderFulfilled', [ethers.id('ask'), SELLER, ethers.ZeroAddress, ethers.ZeroAddress, [nft], [{ ...weth, recipient: SELLER }]]),
+    log(MOONCATS, erc721, 'Transfer', [SELLER, BUYER, TOKEN_ID])
+  ]);
+
+  const sale = await decoder.decodeSale(ethers.id('tx'), MOONCATS, TOKEN_ID.toString());
+
+  assert.equal(sale.fromAddress, SELLER);
+  assert.equal(sale.toAddress, BUYER);
+  assert.equal(sale.venue, 'OpenSea');
+  assert.equal(sale.ethPrice, 1.5);
+  assert.equal(sale.payment.symbol, 'WETH');
+});
+
+test('a fulfilled Seaport listing is attributed to the offerer', async () => {
+  const nft = { itemType: 2, token: MOONCATS, identifier: TOKEN_ID, amount: 1n };
+  const eth = { itemType: 0, token: ethers.ZeroAddress, identifier: 0n, amount: ethers.parseEther('0.8'), recipient: SELLER };
+
+  const decoder = decoderFor([
+    log(SEAPORT, seaport, 'OrderFulfilled', [ethers.ZeroHash, SELLER, ethers.ZeroAddress, BUYER, [nft], [eth]]),
+    log(MOONCATS, erc721, 'Transfer', [SELLER, BUYER, TOKEN_ID])
+  ]);
+
+  const sale = await decoder.decodeSale(ethers.id('tx'), MOONCATS, TOKEN_ID.toString());
+
+  assert.equal(sale.fromAddress, SELLER);
+  assert.equal(sale.ethPrice, 0.8);
+});
+
+test('an ERC-20 Sudoswap pair is priced in the pair token', async () => {
+  const decoder = decoderFor([
+    log(USDC, erc20, 'Transfer', [BUYER, SUDOSWAP_PAIR, 2500000000n]),
+    log(MOONCATS, erc721, 'Transfer', [SUDOSWAP_PAIR, BUYER, TOKEN_ID]),
+    log(SUDOSWAP_PAIR, sudoswap, 'SwapNFTOutPair', [2500000000n, [TOKEN_ID]])
+  ]);
+
+  const sale = await decoder.decodeSale(ethers.id('tx'), MOONCATS, TOKEN_ID.toString());
+
+  assert.equal(sale.venue, 'Sudoswap');
+  assert.equal(sale.payment.symbol, 'USDC');
+  assert.equal(sale.ethPrice, 2500);
+});
+
+test('a wallet move alongside an unknown token transfer is not a sale', async () => {
+  const AIRDROP = '0x4444444444444444444444444444444444444444';
+  const decoder = decoderFor([
+    log(AIRDROP, erc20, 'Transfer', [BUYER, SELLER, 1000n]),
+    log(MOONCATS, erc721, 'Transfer', [SELLER, BUYER, TOKEN_ID])
+  ]);
+
+  assert.equal(await decoder.decodeSale(ethers.id('tx'), MOONCATS, TOKEN_ID.toString()), null);
+});